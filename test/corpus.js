@@ -0,0 +1,150 @@
+// Real-world model output and the maths the parser should find in it.
+// `math` lists [source, delimiterType] for every expression, in order.
+const TEXT_CASES = [
+    {
+        name: 'inline dollars',
+        text: 'The area is $A = \\pi r^2$ for a circle of radius $r$.',
+        math: [
+            ['$A = \\pi r^2$', 'dollars'],
+            ['$r$', 'dollars'],
+        ],
+    },
+    {
+        name: 'currency only',
+        text: 'It costs $5 and $10 later.',
+        math: [],
+    },
+    {
+        name: 'currency next to maths',
+        text: 'Pay $20 upfront, then solve $x^2 = 4$.',
+        math: [['$x^2 = 4$', 'dollars']],
+    },
+    {
+        name: 'currency range',
+        text: 'Prices range from $5–$10 per unit.',
+        math: [],
+    },
+    {
+        name: 'currency with suffix',
+        text: 'Revenue grew to $3.5M in 2023',
+        math: [],
+    },
+    {
+        name: 'escaped display',
+        text: '\\[ \\int_0^1 x\\,dx = \\frac{1}{2} \\]',
+        math: [['\\[ \\int_0^1 x\\,dx = \\frac{1}{2} \\]', 'escaped']],
+    },
+    {
+        name: 'escaped inline',
+        text: 'where \\(a+b\\) is the sum',
+        math: [['\\(a+b\\)', 'escaped']],
+    },
+    {
+        name: 'bare brackets',
+        text: '[ x^2 + y^2 = z^2 ]',
+        math: [['[ x^2 + y^2 = z^2 ]', 'brackets']],
+    },
+    {
+        name: 'parenthetical prose',
+        text: 'This is explained (see the figure above) in detail.',
+        math: [],
+    },
+    {
+        name: 'function call and coordinates',
+        text: 'for every function f(x) we have (x_1, x_2)',
+        math: [['(x_1, x_2)', 'brackets']],
+    },
+    {
+        name: 'bare environment',
+        text: '\\begin{align} a &= b \\\\ c &= d \\end{align}',
+        math: [
+            ['\\begin{align} a &= b \\\\ c &= d \\end{align}', 'environment'],
+        ],
+    },
+    {
+        name: 'escaped dollars',
+        text: 'Escaped \\$5 and \\$x\\$ stay.',
+        math: [],
+    },
+    {
+        name: 'Markdown link',
+        text: 'See [the docs](https://example.com) for more.',
+        math: [],
+    },
+    {
+        name: 'display dollars over several lines',
+        text: '$$\nE = mc^2\n$$',
+        math: [['$$\nE = mc^2\n$$', 'dollars']],
+    },
+    {
+        name: 'set braces and absolute value',
+        text: 'The set $\\{1, 2, 3\\}$ has $|S| = 3$.',
+        math: [
+            ['$\\{1, 2, 3\\}$', 'dollars'],
+            ['$|S| = 3$', 'dollars'],
+        ],
+    },
+    {
+        name: 'mixed delimiters',
+        text: 'Use \\(\\frac{a}{b}\\) not $\\frac{a}{b}$.',
+        math: [
+            ['\\(\\frac{a}{b}\\)', 'escaped'],
+            ['$\\frac{a}{b}$', 'dollars'],
+        ],
+    },
+];
+
+// Markup as TypingMind produces it and the sources of the equations that
+// should end up rendered. `text` is what must remain as plain text.
+const DOM_CASES = [
+    {
+        name: 'paragraph with inline maths',
+        html: '<div class="prose"><p>Let $x^2 + 1$ be positive.</p></div>',
+        rendered: ['$x^2 + 1$'],
+        text: 'Let  be positive.',
+    },
+    {
+        name: 'subscripts eaten by Markdown emphasis',
+        html: '<div class="prose"><p>Use $a<em>1 + b</em>1$ here</p></div>',
+        rendered: ['$a_1 + b_1$'],
+        text: 'Use  here',
+    },
+    {
+        name: 'code block',
+        html: '<div class="prose"><pre><code>echo $HOME $x$</code></pre></div>',
+        rendered: [],
+        text: 'echo $HOME $x$',
+    },
+    {
+        name: 'JSON in a paragraph',
+        html: '<div class="prose"><p>{"price": "$5", "formula": "$x$"}</p></div>',
+        rendered: [],
+        text: '{"price": "$5", "formula": "$x$"}',
+    },
+    {
+        name: 'outside chat messages',
+        html: '<nav>$x^2$</nav><div class="prose"><p>$y^2$</p></div>',
+        rendered: ['$y^2$'],
+        text: '$x^2$',
+    },
+    {
+        name: 'display maths across line breaks',
+        html: '<div class="prose"><p>\\[<br>x^2<br>\\]</p></div>',
+        rendered: ['\\[\nx^2\n\\]'],
+        text: '',
+    },
+    {
+        name: 'display maths across paragraphs',
+        html: '<div class="prose"><p>$$</p><p>a = b</p><p>$$</p></div>',
+        rendered: ['$$\na = b\n$$'],
+        text: '',
+    },
+    {
+        name: 'currency in a message',
+        html: '<div class="prose"><p>It costs $5 and $10 later.</p></div>',
+        rendered: [],
+        text: 'It costs $5 and $10 later.',
+    },
+];
+
+module.exports = { TEXT_CASES, DOM_CASES };
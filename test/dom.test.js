@@ -0,0 +1,512 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DOM_CASES } = require('./corpus');
+const {
+    render,
+    wait,
+    settle,
+    renderedSources,
+    plainText,
+} = require('./harness');
+
+test('rendering', async t => {
+    for (const example of DOM_CASES) {
+        await t.test(example.name, async () => {
+            const window = await render(example.html);
+            assert.deepStrictEqual(renderedSources(window), example.rendered);
+            assert.strictEqual(plainText(window), example.text);
+            window.close();
+        });
+    }
+});
+
+test('pages with a global module still start up', async () => {
+    const window = await render(
+        '<div class="prose"><p>$x^2$</p></div>',
+        undefined,
+        { setup: window => (window.module = { exports: {} }) }
+    );
+    assert.ok(window.LaTeXProcessor);
+    assert.deepStrictEqual(renderedSources(window), ['$x^2$']);
+    assert.deepStrictEqual(window.module.exports, {});
+    window.close();
+});
+
+test('revertAll restores the original markup', async () => {
+    for (const example of DOM_CASES) {
+        const window = await render(example.html);
+        window.LaTeXProcessor.revertAll();
+        assert.strictEqual(window.document.body.innerHTML, example.html);
+        window.close();
+    }
+});
+
+test('messages added later are rendered', async () => {
+    const window = await render('<div class="prose"></div>');
+    const paragraph = window.document.createElement('p');
+    paragraph.textContent = 'Then $\\alpha + \\beta$ follows.';
+    window.document.querySelector('.prose').appendChild(paragraph);
+    await settle(window);
+    assert.deepStrictEqual(renderedSources(window), ['$\\alpha + \\beta$']);
+    window.close();
+});
+
+test('rendered containers are labelled for screen readers', async () => {
+    const window = await render('<div class="prose"><p>$x^2 + 1$</p></div>');
+    const container = window.document.querySelector('.math-container');
+    assert.strictEqual(container.getAttribute('role'), 'math');
+    assert.strictEqual(
+        container.getAttribute('aria-label'),
+        'x squared plus 1'
+    );
+    window.close();
+});
+
+test('chemistry renders with the default renderer', async () => {
+    const window = await render(
+        '<div class="prose"><p>$\\ce{N2 + 3H2 <=> 2NH3}$ at \\(\\pu{450 °C}\\)</p></div>'
+    );
+    const containers = window.document.querySelectorAll('.math-container');
+    assert.strictEqual(containers.length, 2);
+    containers.forEach(container =>
+        assert.ok(!container.classList.contains('math-error'))
+    );
+    window.close();
+});
+
+test('Unicode text without MathML support', async () => {
+    const window = await render(
+        '<div class="prose"><p>$x^2 + \\alpha$</p></div>',
+        {
+            settings: { button: false },
+            // Leave out KaTeX, which jsdom would wait on until it times out
+            renderer: { order: ['texzilla', 'unicode'] },
+        },
+        { mathML: false }
+    );
+    assert.strictEqual(window.LaTeXProcessor.renderer, 'unicode');
+    assert.strictEqual(
+        window.document.querySelector('.math-unicode').textContent,
+        'x² + α'
+    );
+    window.close();
+});
+
+test('styling follows the TypingMind theme', async () => {
+    const window = await render('<div class="prose"><p>$x$</p></div>');
+    const root = window.document.documentElement;
+    assert.strictEqual(root.getAttribute('data-latex-theme'), 'light');
+    root.classList.add('dark');
+    await wait(window, 0);
+    assert.strictEqual(root.getAttribute('data-latex-theme'), 'dark');
+    window.LaTeXProcessor.setStyle({ scale: 1.25, theme: 'light' });
+    assert.strictEqual(root.style.getPropertyValue('--latex-scale'), '1.25');
+    assert.strictEqual(root.getAttribute('data-latex-theme'), 'light');
+
+    // Only the CSS changes, the maths isn't rendered again
+    const container = window.document.querySelector('.math-container');
+    await window.LaTeXProcessor.configure({ style: { scale: 1.5 } }, false);
+    assert.strictEqual(root.style.getPropertyValue('--latex-scale'), '1.5');
+    assert.strictEqual(
+        window.document.querySelector('.math-container'),
+        container
+    );
+    window.close();
+});
+
+test('chat input preview', async () => {
+    const window = await render(
+        '<div data-element-id="chat-input"><textarea data-element-id="chat-input-textbox"></textarea></div>'
+    );
+    const input = window.document.querySelector('textarea');
+    const type = async value => {
+        input.value = value;
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+        await wait(window, 200);
+    };
+    const panel = () => window.document.querySelector('.latex-preview');
+
+    // The preview keeps polling the input while it is shown
+    try {
+        await type('Is $x^2 + \\frac{1}$ right?');
+        assert.strictEqual(panel().hidden, false);
+        assert.strictEqual(panel().querySelectorAll('.math-error').length, 1);
+        assert.strictEqual(window.LaTeXProcessor.errors().length, 0);
+
+        await type('Is $x^2$ right?');
+        assert.deepStrictEqual(renderedSources(window), ['$x^2$']);
+        assert.strictEqual(input.value, 'Is $x^2$ right?');
+
+        window.LaTeXProcessor.togglePreview(false);
+        assert.strictEqual(panel().hidden, true);
+    } finally {
+        window.close();
+    }
+});
+
+test('configure re-renders and persists', async () => {
+    const window = await render(
+        '<div class="prose"><p>Solve (x^2 + 1 = 0) and \\(y^2\\)</p></div>'
+    );
+    const { LaTeXProcessor } = window;
+    assert.deepStrictEqual(renderedSources(window), [
+        '(x^2 + 1 = 0)',
+        '\\(y^2\\)',
+    ]);
+
+    await LaTeXProcessor.configure({ delimiters: { parens: false } });
+    await settle(window);
+    assert.deepStrictEqual(renderedSources(window), ['\\(y^2\\)']);
+    assert.deepStrictEqual(
+        JSON.parse(window.localStorage.getItem('latexProcessor.settings')),
+        { delimiters: { parens: false } }
+    );
+
+    // The panel writes through configure() as well
+    LaTeXProcessor.openSettings();
+    const checkbox = Array.from(
+        window.document.querySelectorAll('.latex-settings-field')
+    )
+        .find(field => field.textContent === '\\(...\\)')
+        .querySelector('input');
+    checkbox.checked = false;
+    checkbox.dispatchEvent(new window.Event('change'));
+    await settle(window);
+    assert.deepStrictEqual(renderedSources(window), []);
+
+    await LaTeXProcessor.resetConfig();
+    await settle(window);
+    assert.strictEqual(
+        window.localStorage.getItem('latexProcessor.settings'),
+        null
+    );
+    assert.strictEqual(renderedSources(window).length, 2);
+    window.close();
+});
+
+test('inlined renderers fetch nothing', async () => {
+    const window = await render(
+        '<div class="prose"><p>$x^2$</p></div>',
+        {
+            settings: { button: false },
+            renderer: {
+                order: ['katex'],
+                backends: {
+                    katex: {
+                        source: '/* katex.min.js */',
+                        styles: '.katex-mathml { display: none; }',
+                    },
+                },
+            },
+        },
+        {
+            // jsdom doesn't run inline scripts, so KaTeX is already there
+            setup: window =>
+                (window.katex = {
+                    renderToString: latex => `<span class="katex">${latex}</span>`,
+                }),
+        }
+    );
+    const { document } = window;
+    assert.strictEqual(window.LaTeXProcessor.renderer, 'katex');
+    assert.deepStrictEqual(renderedSources(window), ['$x^2$']);
+    assert.strictEqual(document.querySelector('link[rel="stylesheet"]'), null);
+    assert.strictEqual(
+        document.querySelector('style[data-latex-renderer="katex"]').textContent,
+        '.katex-mathml { display: none; }'
+    );
+    window.close();
+});
+
+test('switching renderer redraws existing maths', async () => {
+    const window = await render('<div class="prose"><p>$x^2$</p></div>');
+    const { document, LaTeXProcessor } = window;
+    assert.strictEqual(document.querySelector('.math-unicode'), null);
+
+    assert.strictEqual(await LaTeXProcessor.setRenderer('unicode'), 'unicode');
+    await settle(window);
+    assert.deepStrictEqual(renderedSources(window), ['$x^2$']);
+    assert.strictEqual(document.querySelector('.math-unicode').textContent, 'x²');
+    window.close();
+});
+
+test('narrowing the scope puts maths back', async () => {
+    const window = await render(
+        '<div class="prose"><p>$a^2$</p></div>' +
+            '<div class="notes"><p>$b^2$</p></div>'
+    );
+    const { LaTeXProcessor } = window;
+    LaTeXProcessor.setScope({ include: ['.notes'] });
+    await settle(window);
+    assert.deepStrictEqual(renderedSources(window), ['$a^2$', '$b^2$']);
+
+    // A selector that doesn't parse is ignored rather than thrown
+    LaTeXProcessor.setScope({ exclude: ['.notes', 'p:['] });
+    await settle(window);
+    assert.deepStrictEqual(renderedSources(window), ['$a^2$']);
+    assert.strictEqual(
+        window.document.querySelector('.notes').innerHTML,
+        '<p>$b^2$</p>'
+    );
+    window.close();
+});
+
+test('macro changes survive a reload', async () => {
+    const first = await render('<div class="prose"></div>');
+    first.LaTeXProcessor.removeMacro('\\R');
+    first.LaTeXProcessor.defineMacro('\\KL', '\\operatorname{KL}');
+    const key = 'latexProcessor.macros';
+    const stored = first.localStorage.getItem(key);
+    first.close();
+
+    const second = await render('<div class="prose"></div>', undefined, {
+        storage: { [key]: stored },
+    });
+    const macros = second.LaTeXProcessor.getMacros();
+    assert.strictEqual('R' in macros, false);
+    assert.strictEqual('N' in macros, true);
+    assert.strictEqual(macros.KL.body, '\\operatorname{KL}');
+    second.close();
+});
+
+test('hooks and events', async () => {
+    const window = await render('<div class="prose"></div>');
+    const { LaTeXProcessor, document } = window;
+    const events = [];
+    ['rendered', 'error', 'skipped'].forEach(type =>
+        document.addEventListener(`latex:${type}`, event =>
+            events.push([type, event.detail.source])
+        )
+    );
+    LaTeXProcessor.addPreprocessor(latex =>
+        latex.replace(/\\unit\{([^}]*)\}/g, '\\,\\mathrm{$1}')
+    );
+    const removePostprocessor = LaTeXProcessor.addPostprocessor(container =>
+        container.classList.add('seen')
+    );
+    LaTeXProcessor.addFilter(
+        node => !node.parentElement.classList.contains('raw')
+    );
+
+    const message = document.querySelector('.prose');
+    message.innerHTML =
+        '<p>Speed $5 \\unit{m/s}$ (see above) and $x^$</p><p class="raw">$y$</p>';
+    await settle(window);
+
+    const containers = message.querySelectorAll('.math-container');
+    assert.strictEqual(containers.length, 2);
+    assert.strictEqual(
+        containers[0].querySelector('annotation').textContent,
+        '5 \\,\\mathrm{m/s}'
+    );
+    assert.ok(containers[0].classList.contains('seen'));
+    assert.deepStrictEqual(events, [
+        ['skipped', '(see above)'],
+        ['rendered', '$5 \\unit{m/s}$'],
+        ['error', '$x^$'],
+        ['skipped', '$y$'],
+    ]);
+
+    removePostprocessor();
+    window.close();
+});
+
+test('exporting a conversation', async () => {
+    const window = await render(
+        '<div data-element-id="user-message"><p>Why is $x_1$ 50% off?</p></div>' +
+            '<div data-element-id="response-block"><p>Because \\[a \\\\ b\\]</p>' +
+            '<pre><code class="language-js">f(1)</code></pre></div>'
+    );
+    const tex = window.LaTeXProcessor.exportDocument(null, 'tex');
+    assert.match(tex, /^\\documentclass\{article\}/);
+    assert.match(tex, /\\section\*\{User\}\n\nWhy is \\\(x_1\\\) 50\\% off\?/);
+    assert.match(tex, /\\begin\{align\*\}\na \\\\ b\n\\end\{align\*\}/);
+    assert.match(tex, /\\begin\{verbatim\}\nf\(1\)\n\\end\{verbatim\}/);
+
+    const markdown = window.LaTeXProcessor.exportDocument(
+        window.document.querySelector('pre'),
+        'markdown'
+    );
+    assert.strictEqual(
+        markdown,
+        'Because\n\n$$\na \\\\ b\n$$\n\n```js\nf(1)\n```\n'
+    );
+    window.close();
+});
+
+test('exporting macro definitions', async () => {
+    const window = await render(
+        '<div class="prose"><p>$\\newcommand{\\sq}[1]{#1^2}$ so ' +
+            '$\\def\\pair#1#2{(#1,#2)} \\pair{a}{\\sq{b}}$</p></div>'
+    );
+    const tex = window.LaTeXProcessor.exportDocument(null, 'tex');
+    assert.match(tex, /^\\newcommand\{\\sq\}\[1\]\{#1\^2\}$/m);
+    assert.match(tex, /^\\def\\pair#1#2\{\(#1,#2\)\}$/m);
+    assert.match(tex, /so \\\(\\pair\{a\}\{\\sq\{b\}\}\\\)/);
+
+    const markdown = window.LaTeXProcessor.exportDocument(null, 'markdown');
+    assert.match(markdown, /\$\\def\\pair#1#2\{\(#1,#2\)\} \\pair/);
+    window.close();
+});
+
+test('exporting tables and symbols', async () => {
+    const window = await render(
+        '<div data-element-id="response-block"><p>a &lt; b → c</p>' +
+            '<table><tr><th>n</th><th>square</th></tr>' +
+            '<tr><td>3</td><td>$3^2$</td></tr></table></div>'
+    );
+    const { LaTeXProcessor } = window;
+    const tex = LaTeXProcessor.exportDocument(null, 'tex');
+    assert.match(tex, /\\usepackage\[T1\]\{fontenc\}/);
+    assert.match(tex, /a \\textless\{\} b \\ensuremath\{\\to\} c/);
+    assert.match(
+        tex,
+        /\\begin\{tabular\}\{ll\}\nn & square \\\\\n3 & \\\(3\^2\\\) \\\\\n\\end\{tabular\}/
+    );
+    assert.match(
+        LaTeXProcessor.exportDocument(null, 'markdown'),
+        /\| n \| square \|\n\| --- \| --- \|\n\| 3 \| \$3\^2\$ \|/
+    );
+    window.close();
+});
+
+// Selects the first paragraph and copies it, returning the clipboard
+function copyParagraph(window) {
+    const range = window.document.createRange();
+    range.selectNodeContents(window.document.querySelector('p'));
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+    const data = {};
+    const event = new window.Event('copy', { cancelable: true });
+    event.clipboardData = { setData: (type, value) => (data[type] = value) };
+    window.document.dispatchEvent(event);
+    return data;
+}
+
+test('copying as Unicode text', async () => {
+    const html = '<div class="prose"><p>So $x^2 + \\alpha$ holds</p></div>';
+    let window = await render(html, {
+        settings: { button: false },
+        copy: { format: 'unicode' },
+    });
+    let copied = copyParagraph(window);
+    assert.strictEqual(copied['text/plain'], 'So x² + α holds');
+    assert.match(copied['text/html'], />So x² \+ α holds</);
+    window.close();
+
+    // The Unicode renderer copies Unicode as plain text, TeX as rich text
+    window = await render(html, {
+        settings: { button: false },
+        renderer: { order: ['unicode'] },
+    });
+    assert.strictEqual(window.LaTeXProcessor.renderer, 'unicode');
+    copied = copyParagraph(window);
+    assert.strictEqual(copied['text/plain'], 'So x² + α holds');
+    assert.match(copied['text/html'], />So \$x\^2 \+ \\alpha\$ holds</);
+    window.close();
+});
+
+test('equation bodies stop being watched once gone', async () => {
+    const watched = new Set();
+    const window = await render(
+        '<div class="prose"><p>$$x^2$$</p></div><div class="prose"><p>$$y^2$$</p></div>',
+        undefined,
+        {
+            setup: window => {
+                window.ResizeObserver = class {
+                    observe(element) {
+                        watched.add(element);
+                    }
+                    unobserve(element) {
+                        watched.delete(element);
+                    }
+                };
+            },
+        }
+    );
+    const { LaTeXProcessor, document } = window;
+    assert.strictEqual(watched.size, 2);
+
+    document.querySelector('.prose').remove();
+    await settle(window);
+    assert.strictEqual(watched.size, 1);
+
+    LaTeXProcessor.revertAll();
+    assert.strictEqual(watched.size, 0);
+
+    LaTeXProcessor.reprocess();
+    await settle(window);
+    assert.strictEqual(watched.size, 1);
+    window.close();
+});
+
+test('skips are reported once and filters see every node', async () => {
+    // Every chunk is scanned again as it arrives
+    const window = await render('<div class="prose"><p></p></div>', {
+        settings: { button: false },
+        streaming: { mode: 'off' },
+    });
+    const { LaTeXProcessor, document } = window;
+    const skipped = [];
+    document.addEventListener('latex:skipped', event =>
+        skipped.push(event.detail.source)
+    );
+    LaTeXProcessor.addFilter(node => !node.data.includes('verbatim'));
+
+    const paragraph = document.querySelector('p');
+    const text = document.createTextNode('Compare [the first_name field]');
+    paragraph.appendChild(text);
+    for (const chunk of [' below', ' and', ' more.']) {
+        await settle(window);
+        text.data += chunk;
+    }
+    await settle(window);
+    assert.deepStrictEqual(skipped, ['[the first_name field]']);
+
+    // The maths spans two text nodes and only the second is vetoed
+    paragraph.replaceChildren(
+        document.createTextNode('Then $x'),
+        document.createTextNode('^2$ verbatim')
+    );
+    await settle(window);
+    assert.strictEqual(document.querySelectorAll('.math-container').length, 0);
+    assert.deepStrictEqual(skipped, ['[the first_name field]', '^2$ verbatim']);
+    window.close();
+});
+
+test('skips are only worked out while something listens', async () => {
+    let dispatched = 0;
+    const window = await render(
+        '<div class="prose"><p>Compare [the first_name field]</p></div>',
+        { settings: { button: false }, streaming: { mode: 'off' } },
+        {
+            setup: window => {
+                const { dispatchEvent } = window.EventTarget.prototype;
+                window.EventTarget.prototype.dispatchEvent = function (event) {
+                    dispatched += event.type === 'latex:skipped';
+                    return dispatchEvent.call(this, event);
+                };
+            },
+        }
+    );
+    const { LaTeXProcessor, document } = window;
+    assert.strictEqual(dispatched, 0);
+
+    const skipped = [];
+    const remove = LaTeXProcessor.addSkipListener(detail =>
+        skipped.push(detail.source)
+    );
+    document.querySelector('p').append(' and [the last_name field]');
+    await settle(window);
+    assert.deepStrictEqual(skipped, [
+        '[the first_name field]',
+        '[the last_name field]',
+    ]);
+    assert.strictEqual(dispatched, 2);
+
+    remove();
+    document.querySelector('p').append(' or [the age_years field]');
+    await settle(window);
+    assert.strictEqual(dispatched, 2);
+    window.close();
+});
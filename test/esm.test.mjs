@@ -0,0 +1,16 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import parser, { findMathDelimiters } from 'typingmind-latex-fix';
+
+test('the parser can be imported as an ES module', () => {
+    assert.strictEqual(findMathDelimiters, parser.findMathDelimiters);
+    assert.deepStrictEqual(findMathDelimiters('so $x$'), [
+        'so ',
+        {
+            type: 'math',
+            content: '$x$',
+            display: false,
+            delimiterType: 'dollars',
+        },
+    ]);
+});
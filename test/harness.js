@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const TeXZilla = require('texzilla');
+
+const SOURCE = fs.readFileSync(
+    path.join(__dirname, '..', 'typingmindlatexfix.js'),
+    'utf8'
+);
+
+function wait(window, delay) {
+    return new Promise(resolve => window.setTimeout(resolve, delay));
+}
+
+// Waits until every idle callback the extension queued has run
+async function settle(window) {
+    do {
+        await wait(window, 20);
+    } while (window.pendingIdleCallbacks > 0);
+}
+
+// Loads the extension into a fresh page that already has TeXZilla, so
+// nothing is fetched, and waits for the first pass to finish. The settings
+// button is left out so the page only holds the markup under test. jsdom
+// has no MathML support of its own, so unless mathML is false the page
+// pretends to have it like a current browser. storage is copied into
+// localStorage first, to load a page again with what an earlier one saved.
+// setup(window) runs just before the extension, to stand in for browser
+// APIs jsdom lacks.
+async function render(
+    html,
+    config = { settings: { button: false } },
+    { mathML = true, storage = {}, setup } = {}
+) {
+    const dom = new JSDOM(`<!doctype html><html><body>${html}</body></html>`, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url: 'https://www.typingmind.com/',
+    });
+    const { window } = dom;
+    TeXZilla.setDOMParser(new window.DOMParser());
+    TeXZilla.setXMLSerializer(new window.XMLSerializer());
+    window.TeXZilla = TeXZilla;
+    window.pendingIdleCallbacks = 0;
+    window.requestIdleCallback = callback => {
+        window.pendingIdleCallbacks++;
+        return window.setTimeout(() => {
+            window.pendingIdleCallbacks--;
+            callback({ timeRemaining: () => 50, didTimeout: false });
+        });
+    };
+    if (mathML) {
+        window.MathMLElement = class MathMLElement extends window.Element {};
+    }
+    Object.entries(storage).forEach(([key, value]) =>
+        window.localStorage.setItem(key, value)
+    );
+    setup?.(window);
+    window.LaTeXProcessorConfig = config;
+    window.eval(SOURCE);
+    await settle(window);
+    return window;
+}
+
+// Sources of the rendered equations, in document order
+function renderedSources(window) {
+    return Array.from(
+        window.document.querySelectorAll('.math-container:not(.math-error)')
+    ).map(container => container.getAttribute('data-source'));
+}
+
+// Text of the page with rendered maths left out
+function plainText(window) {
+    const body = window.document.body.cloneNode(true);
+    body.querySelectorAll('.math-container').forEach(container =>
+        container.remove()
+    );
+    return body.textContent;
+}
+
+module.exports = { render, wait, settle, renderedSources, plainText };
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const parser = require('../typingmindlatexfix.js');
+const { TEXT_CASES } = require('./corpus');
+
+function mathIn(text) {
+    return parser
+        .findMathDelimiters(text)
+        .filter(segment => typeof segment !== 'string')
+        .map(segment => [segment.content, segment.delimiterType]);
+}
+
+test('segmentation', async t => {
+    for (const example of TEXT_CASES) {
+        await t.test(example.name, () => {
+            assert.deepStrictEqual(mathIn(example.text), example.math);
+        });
+    }
+});
+
+test('segments cover the whole text', () => {
+    TEXT_CASES.forEach(({ text }) => {
+        const joined = parser
+            .findMathDelimiters(text)
+            .map(segment =>
+                typeof segment === 'string' ? segment : segment.content
+            )
+            .join('');
+        assert.strictEqual(joined, text);
+    });
+});
+
+test('inline dollar policy', () => {
+    assert.strictEqual(
+        parser.resolveInlineDollarPolicy('Pay $20 then solve $x^2 = 4$.'),
+        'smart'
+    );
+    parser.config.inlineDollars = 'off';
+    try {
+        assert.deepStrictEqual(mathIn('solve $x^2 = 4$'), []);
+    } finally {
+        parser.config.inlineDollars = 'smart';
+    }
+});
+
+test('isLikelyLatex', () => {
+    assert.strictEqual(parser.isLikelyLatex('x^2 + y^2', 'brackets'), true);
+    assert.strictEqual(
+        parser.isLikelyLatex('see the figure above', 'brackets'),
+        false
+    );
+    assert.strictEqual(parser.isLikelyLatex('anything', 'escaped'), true);
+});
+
+test('detection holds up on the labelled corpus', () => {
+    assert.ok(parser.DETECTION_CORPUS.length >= 40);
+    // Permissive policies accept anything, so only the others are scored
+    const scored = Object.entries(parser.config.detection.policies)
+        .filter(([, policy]) => policy !== 'permissive')
+        .map(([delimiterType]) => delimiterType);
+    assert.deepStrictEqual(scored, ['brackets', 'default']);
+    for (const delimiterType of scored) {
+        const result = parser.evaluateDetection(undefined, delimiterType);
+        const wrong = result.misclassified.map(example => example.text);
+        assert.ok(result.precision >= 0.95, `${delimiterType}: ${wrong}`);
+        assert.ok(result.recall >= 0.9, `${delimiterType}: ${wrong}`);
+    }
+});
+
+test('describeLatex', () => {
+    assert.strictEqual(
+        parser.describeLatex('\\left\\| x \\right\\| \\geq |x|'),
+        'double vertical bar x double vertical bar is greater than or equal to vertical bar x vertical bar'
+    );
+});
+
+test('explain names the deciding rule', () => {
+    const { candidates } = parser.explain('(see above) and \\(x^2\\)');
+    assert.deepStrictEqual(
+        candidates.map(({ branch, accepted, rule }) => [
+            branch,
+            accepted,
+            rule,
+        ]),
+        [
+            ['paren', false, 'isLikelyLatex'],
+            ['escaped-inline', true, 'isLikelyLatex'],
+        ]
+    );
+});
+
+test('repairLatex', async t => {
+    const repaired = [
+        [
+            'row-breaks',
+            '\\begin{pmatrix} 1 & 2 \\ 3 & 4 \\end{pmatrix}',
+            '\\begin{pmatrix} 1 & 2 \\\\ 3 & 4 \\end{pmatrix}',
+        ],
+        ['delimiter-braces', '\\left{ x \\right}', '\\left\\{ x \\right\\}'],
+        ['set-braces', 'x \\in {1, 2, 3}', 'x \\in \\{1, 2, 3\\}'],
+        [
+            'set-braces',
+            'A \\subseteq {x \\mid x > 0}',
+            'A \\subseteq \\{x \\mid x > 0\\}',
+        ],
+        ['unbalanced-braces', 'a} + b', 'a\\} + b'],
+        ['thin-space', '\\int f(x),dx', '\\int f(x)\\,dx'],
+        ['special-characters', '50% of x', '50\\% of x'],
+    ];
+    for (const [name, input, output] of repaired) {
+        await t.test(`${name}: ${input}`, () => {
+            assert.deepStrictEqual(parser.repairLatex(input), {
+                latex: output,
+                repairs: [name],
+            });
+        });
+    }
+
+    const untouched = [
+        '\\left( x \\right)',
+        'f({a, b})',
+        'g(x, {a, b})',
+        '\\frac{a, b}{c}',
+        '\\mathrm{a,b}',
+        '\\sqrt[3]{x, y}',
+        '\\{1, 2\\}',
+        '\\newcommand{\\sq}[1]{#1^2}',
+        '\\ce{N#N}',
+    ];
+    for (const input of untouched) {
+        await t.test(`unchanged: ${input}`, () => {
+            assert.deepStrictEqual(parser.repairLatex(input), {
+                latex: input,
+                repairs: [],
+            });
+        });
+    }
+});
+
+test('translateChemistry', () => {
+    assert.strictEqual(
+        parser.translateChemistry('\\ce{2H2 + O2 -> 2H2O}'),
+        '{2\\,\\mathrm{H}_{2} + \\mathrm{O}_{2} \\longrightarrow 2\\,\\mathrm{H}_{2}\\mathrm{O}}'
+    );
+    assert.strictEqual(
+        parser.translateChemistry('\\ce{SO4^2-}'),
+        '{\\mathrm{SO}_{4}^{2-}}'
+    );
+    assert.strictEqual(
+        parser.translateChemistry('\\ce{CaCO3 ->[heat] CaO + CO2 ^}'),
+        '{\\mathrm{CaCO}_{3} \\overset{\\text{heat}}{\\longrightarrow} \\mathrm{CaO} + \\mathrm{CO}_{2} \\uparrow}'
+    );
+    assert.strictEqual(
+        parser.translateChemistry('\\Delta H = \\pu{-286 kJ mol-1}'),
+        '\\Delta H = {-286\\,\\mathrm{kJ}\\,\\mathrm{mol}^{-1}}'
+    );
+});
+
+test('translateChemistry charges', () => {
+    // A digit after an element is a count; charges above one need ^
+    assert.strictEqual(
+        parser.translateChemistry('\\ce{NH4+}'),
+        '{\\mathrm{NH}_{4}^{+}}'
+    );
+    assert.strictEqual(
+        parser.translateChemistry('\\ce{NO3-}'),
+        '{\\mathrm{NO}_{3}^{-}}'
+    );
+    assert.strictEqual(
+        parser.translateChemistry('\\ce{SO4^2-}'),
+        '{\\mathrm{SO}_{4}^{2-}}'
+    );
+    assert.strictEqual(
+        parser.translateChemistry('\\ce{H2O(l) <=> H+(aq) + OH-(aq)}'),
+        '{\\mathrm{H}_{2}\\mathrm{O}\\,\\mathrm{(l)} \\rightleftharpoons \\mathrm{H}^{+}\\,\\mathrm{(aq)} + \\mathrm{OH}^{-}\\,\\mathrm{(aq)}}'
+    );
+});
+
+test('latexToUnicode', () => {
+    assert.strictEqual(parser.latexToUnicode('x^2 + y_{ij}'), 'x² + yᵢⱼ');
+    assert.strictEqual(
+        parser.latexToUnicode('\\frac{\\sqrt{\\pi}}{2} \\neq \\frac{a+b}{c}'),
+        '√π⁄2 ≠ (a+b)⁄c'
+    );
+    assert.strictEqual(
+        parser.latexToUnicode('\\alpha \\to \\infty, e^{i\\pi}'),
+        'α → ∞, e^(iπ)'
+    );
+    assert.strictEqual(parser.latexToUnicode('\\frac{1}{2}'), '½');
+    // Rows stay on one line
+    assert.strictEqual(
+        parser.latexToUnicode(
+            '\\begin{pmatrix} 1 & 2 \\\\ 3 & 4 \\end{pmatrix}'
+        ),
+        '(1, 2; 3, 4)'
+    );
+    assert.strictEqual(
+        parser.latexToUnicode(
+            '\\begin{aligned} a &= b \\\\ c &= d \\end{aligned}'
+        ),
+        'a = b; c = d'
+    );
+});
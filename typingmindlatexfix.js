@@ -4,24 +4,329 @@
         INLINE_DOLLARS: { start: '$', end: '$', display: false },
         DISPLAY_BRACKETS: { start: '\\[', end: '\\]', display: true },
         INLINE_PARENS: { start: '\\(', end: '\\)', display: false },
+        ENVIRONMENT: { start: '\\begin', end: '\\end', display: true },
+    };
+
+    // Environments recognised as display maths without surrounding
+    // delimiters
+    const MATH_ENVIRONMENTS = new Set(
+        `
+        equation equation* align align* gather gather* multline multline*
+        flalign flalign* alignat alignat* eqnarray eqnarray* cases matrix
+        pmatrix bmatrix Bmatrix vmatrix Vmatrix smallmatrix array aligned
+        gathered split
+    `
+            .trim()
+            .split(/\s+/)
+    );
+
+    // Environments that number their rows, and how each is rendered. Every
+    // renderer understands aligned and gathered, not all know align.
+    const NUMBERED_ENVIRONMENTS = new Set([
+        'equation',
+        'align',
+        'gather',
+        'multline',
+        'flalign',
+        'alignat',
+        'eqnarray',
+    ]);
+    const ENVIRONMENT_RENDERING = {
+        equation: null,
+        align: 'aligned',
+        flalign: 'aligned',
+        alignat: 'aligned',
+        eqnarray: 'aligned',
+        split: 'aligned',
+        gather: 'gathered',
+        multline: 'gathered',
     };
 
     let state = {
-        teXZillaLoaded: false,
+        renderer: null,
+        errors: [],
+        observer: null,
+        detachedObserver: null,
+        observerBatch: 0,
+        streams: new Map(),
+        userMacros: {},
+        // Set by revertAll() until the next reprocess()
+        paused: false,
+        // Text nodes and elements waiting for the next observer flush
+        pending: new Map(),
+        flushScheduled: false,
+        // Chat input being previewed and the panel showing it
+        preview: {
+            input: null,
+            panel: null,
+            text: null,
+            timer: null,
+            poll: null,
+        },
+        // Choices saved from the settings panel, and the panel when open
+        settings: {},
+        settingsPanel: null,
+        // Set by LaTeXProcessor.debug()
+        debug: false,
+        debugLayer: null,
+        stats: createStats(),
     };
 
-    function isInCodeBlock(element) {
-        // Check for code blocks
-        let parent = element;
-        while (parent) {
-            if (parent.tagName === 'PRE' || parent.tagName === 'CODE') {
-                return true;
+    function createStats() {
+        return {
+            nodesScanned: 0,
+            expressionsRendered: 0,
+            cacheHits: 0,
+            cacheMisses: 0,
+            observerFlushes: 0,
+            // Milliseconds
+            renderTime: 0,
+            processTime: 0,
+        };
+    }
+
+    // Shorthands models commonly use without defining them. Entries are
+    // { body, args, defaultArg } where #1..#9 in body are the arguments.
+    const DEFAULT_MACROS = {
+        R: { body: '\\mathbb{R}', args: 0 },
+        N: { body: '\\mathbb{N}', args: 0 },
+        Z: { body: '\\mathbb{Z}', args: 0 },
+        Q: { body: '\\mathbb{Q}', args: 0 },
+        C: { body: '\\mathbb{C}', args: 0 },
+        E: { body: '\\mathbb{E}', args: 0 },
+        P: { body: '\\mathbb{P}', args: 0 },
+        Var: { body: '\\operatorname{Var}', args: 0 },
+        Cov: { body: '\\operatorname{Cov}', args: 0 },
+        argmax: { body: '\\operatorname{arg\\,max}', args: 0 },
+        argmin: { body: '\\operatorname{arg\\,min}', args: 0 },
+        norm: { body: '\\left\\| #1 \\right\\|', args: 1 },
+        abs: { body: '\\left| #1 \\right|', args: 1 },
+        set: { body: '\\left\\{ #1 \\right\\}', args: 1 },
+    };
+
+    // Macros from in-message \newcommand, \def and \DeclareMathOperator,
+    // keyed by the message they appeared in
+    const messageMacros = new WeakMap();
+
+    // Original nodes replaced by each .math-processed-wrapper, so that later
+    // passes can re-read the source and streamed messages can be re-rendered
+    const wrapperOriginals = new WeakMap();
+    // Nodes put back into the page by us, which the observer should ignore
+    const restoredNodes = new WeakSet();
+    // Wrapper currently standing in for each original node. The host page
+    // may keep updating a text node after we have taken it out of the page,
+    // which is how streamed replies usually grow.
+    const originalOwners = new WeakMap();
+
+    const MAX_RECORDED_ERRORS = 200;
+
+    const config = {
+        // 'smart': Pandoc rules plus currency detection and a per-message
+        // fallback, 'pandoc': Pandoc rules only, 'always': any $...$ pair,
+        // 'off': never treat single dollars as math
+        inlineDollars: 'smart',
+        renderer: {
+            // Backends are tried in this order until one loads
+            order: ['texzilla', 'katex', 'mathjax', 'unicode'],
+            // Skip backends that only produce MathML when the browser can't
+            // display it
+            unicodeFallback: true,
+            // Per-backend overrides: { url, source, stylesheets, styles }
+            // where url replaces the default CDN address, source is an
+            // inlined copy of the library that is evaluated instead of
+            // fetching anything, and styles the same for its CSS
+            backends: {},
+            loadTimeout: 10000,
+        },
+        macros: {
+            // Upper bound on macro expansions per expression, which stops
+            // recursive definitions such as \def\a{\a}
+            maxExpansions: 500,
+            storageKey: 'latexProcessor.macros',
+        },
+        toggle: {
+            // What flips a single equation between rendered maths and its
+            // source: 'click', 'dblclick', 'alt-click' or 'none'
+            trigger: 'click',
+            // Shows or hides the source of every equation on the page
+            shortcut: 'Alt+Shift+L',
+        },
+        copy: {
+            // Delimiters used when copying maths: 'original' keeps what the
+            // model wrote, 'dollars' gives $...$/$$...$$ and 'parens' gives
+            // \(...\)/\[...\]
+            format: 'original',
+        },
+        repairs: {
+            // Restore escapes that Markdown removed before the LaTeX reached
+            // us. Repairs made are listed in data-repairs on each container.
+            enabled: true,
+            log: false,
+        },
+        chemistry: {
+            // Translate mhchem \ce{...} and \pu{...} into plain LaTeX, so
+            // they render with any backend
+            enabled: true,
+        },
+        scope: {
+            // Containers of chat messages. Only text inside these is rendered.
+            messages: [
+                '[data-element-id="response-block"]',
+                '[data-element-id="user-message"]',
+                '[data-element-id="ai-response"]',
+                '.prose',
+            ],
+            // Parts of the app that are never touched, even inside a message
+            defaultExclude: [
+                'textarea',
+                'input',
+                '[contenteditable=""]',
+                '[contenteditable="true"]',
+                'nav',
+                'aside',
+                '[role="dialog"]',
+                '[role="menu"]',
+                '[data-element-id="side-bar"]',
+                '[data-element-id="chat-title"]',
+                '[data-element-id="prompt-library"]',
+                '[data-element-id="chat-input"]',
+            ],
+            // User additions to the two lists above
+            include: [],
+            exclude: [],
+        },
+        streaming: {
+            // 'defer': leave a message alone while it is being generated and
+            // render it once it settles, 'provisional': also render complete
+            // and unterminated expressions as they arrive, 'off': render every
+            // mutation immediately
+            mode: 'defer',
+            // Quiet period after which a growing message counts as finished
+            settleDelay: 800,
+            // Present in the page while TypingMind is generating a reply
+            indicatorSelector:
+                '[data-element-id="stop-generating-button"], button[aria-label="Stop generating"]',
+        },
+        // Delimiter types that are looked for at all. Single dollars are
+        // controlled by inlineDollars.
+        delimiters: {
+            displayDollars: true,
+            // \[...\] and \(...\)
+            escapedDisplay: true,
+            escapedInline: true,
+            // \begin{align}... without surrounding delimiters
+            environments: true,
+            // Unescaped [...] and (...) that read like maths
+            brackets: true,
+            parens: true,
+        },
+        detection: {
+            // Score an expression needs under the 'strict' policy
+            threshold: 2.5,
+            // Leave text that parses as JSON alone
+            skipJson: true,
+            // Policy per delimiter type: 'brackets' is unescaped (...) and
+            // [...], 'escaped' is \(...\) and \[...\]
+            policies: {
+                brackets: 'strict',
+                escaped: 'permissive',
+                dollars: 'permissive',
+                default: 'lenient',
+            },
+        },
+        style: {
+            // Size of maths relative to the surrounding text
+            scale: 1,
+            // Font for MathML output, e.g. 'STIX Two Math'. null leaves it to
+            // the browser.
+            font: null,
+            // 'auto' follows TypingMind's dark mode, 'light' and 'dark' force
+            // one
+            theme: 'auto',
+            // Display maths wider than the message: 'scroll' sideways, or
+            // 'wrap' onto several lines at =, < and other relations where
+            // possible and scroll otherwise
+            overflow: 'scroll',
+        },
+        preview: {
+            // Shows the message rendered above the chat input while typing
+            enabled: true,
+            inputSelector:
+                '[data-element-id="chat-input-textbox"], textarea#chat-input',
+            shortcut: 'Alt+Shift+P',
+            // Pause in typing before the preview is updated
+            delay: 150,
+        },
+        settings: {
+            // Where choices made in the settings panel are kept
+            storageKey: 'latexProcessor.settings',
+            // Floating button that opens the panel
+            button: true,
+            shortcut: 'Alt+Shift+S',
+        },
+        cache: {
+            // Rendered expressions kept, keyed by renderer, display mode and
+            // LaTeX. 0 turns the cache off.
+            size: 500,
+        },
+    };
+
+    function mergeConfig(target, source) {
+        Object.entries(source || {}).forEach(([key, value]) => {
+            if (
+                value &&
+                typeof value === 'object' &&
+                !Array.isArray(value) &&
+                target[key] &&
+                typeof target[key] === 'object'
+            ) {
+                mergeConfig(target[key], value);
+            } else {
+                target[key] = value;
             }
-            parent = parent.parentElement;
+        });
+        return target;
+    }
+
+    // Settings can be provided before the script loads, e.g. to point the
+    // renderer at a bundled copy on locked-down networks
+    if (typeof window !== 'undefined' && window.LaTeXProcessorConfig) {
+        mergeConfig(config, window.LaTeXProcessorConfig);
+    }
+
+    // What the settings panel resets to. Choices saved from the panel win
+    // over the page's own settings.
+    const DEFAULT_CONFIG = cloneConfig(config);
+    state.settings = loadSettings();
+    mergeConfig(config, cloneConfig(state.settings));
+
+    const CURRENCY_AMOUNT = /^\$\d{1,3}(?:,\d{3})+(?:\.\d+)?|^\$\d+(?:\.\d+)?/;
+    const CURRENCY_SUFFIX =
+        /^\s?(?:k|K|m|M|b|B|bn|mn|million|billion|thousand|trillion)\b/;
+    const CURRENCY_FOLLOWER = /^(?:$|[\s,.;:!?)\]}%'"\u2019-])/;
+
+    // Element -> whether it is or sits inside a PRE/CODE element. Chat
+    // messages aren't moved around once added, so this never goes stale.
+    const codeElements = new WeakMap();
+    // Node -> { content, result } of the last JSON check
+    const jsonChecks = new WeakMap();
+
+    function isCodeElement(element) {
+        if (!element) {
+            return false;
+        }
+        if (!codeElements.has(element)) {
+            codeElements.set(
+                element,
+                element.tagName === 'PRE' ||
+                    element.tagName === 'CODE' ||
+                    isCodeElement(element.parentElement)
+            );
         }
+        return codeElements.get(element);
+    }
 
-        // Strict JSON detection
-        const content = element.textContent.trim();
+    function looksLikeJson(content) {
         if (
             (content.startsWith('[{') && content.endsWith('}]')) ||
             (content.startsWith('{') && content.endsWith('}'))
@@ -34,418 +339,6164 @@
                 return jsonChars / content.length > 0.1;
             }
         }
-
         return false;
     }
 
-    function isLikelyLatex(content) {
-        if (/^\s*\d+\s*$/.test(content)) {
+    function isInCodeBlock(element) {
+        // Check for code blocks
+        if (
+            isCodeElement(
+                element.nodeType === Node.ELEMENT_NODE
+                    ? element
+                    : element.parentElement
+            )
+        ) {
+            return true;
+        }
+
+        if (!config.detection.skipJson) {
             return false;
         }
 
-        return (
-            /[_^{}\\]/.test(content) ||
-            /\\?[a-zA-Z]{2,}/.test(content) ||
-            /[∫∑∏√∞±≤≥≠]/.test(content) ||
-            /[α-ωΑ-Ω]/.test(content) ||
-            /\\left|\\right/.test(content) ||
-            /\\frac|\\int/.test(content)
-        );
+        // Strict JSON detection, redone only when the text has changed
+        const content = element.textContent.trim();
+        const cached = jsonChecks.get(element);
+        if (cached && cached.content === content) {
+            return cached.result;
+        }
+        const result = looksLikeJson(content);
+        jsonChecks.set(element, { content, result });
+        return result;
     }
 
-    async function loadTeXZilla() {
-        if (state.teXZillaLoaded) return;
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://fred-wang.github.io/TeXZilla/TeXZilla-min.js';
-            script.onload = () => {
-                state.teXZillaLoaded = true;
-                resolve();
-            };
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
-    }
+    const LATEX_COMMANDS = new Set(
+        `
+        frac dfrac tfrac sqrt sum prod int iint oint lim limsup liminf sup
+        inf max min log ln exp sin cos tan sec csc cot arcsin arccos arctan
+        sinh cosh tanh det partial nabla infty cdot cdots ldots dots vdots
+        ddots times div pm mp leq geq le ge neq ne approx equiv sim simeq
+        cong propto in notin subset subseteq supset supseteq cup cap
+        setminus emptyset varnothing forall exists neg land lor to
+        rightarrow leftarrow Rightarrow Leftarrow leftrightarrow
+        Leftrightarrow implies iff mapsto left right big Big bigg Bigg
+        mathbb mathbf mathrm mathcal mathit mathsf mathfrak boldsymbol text
+        operatorname hat bar vec dot ddot tilde overline underline overbrace
+        underbrace binom choose begin end quad qquad langle rangle lfloor
+        rfloor lceil rceil circ prime ell hbar Re Im mid parallel perp angle
+        triangle deg gcd Pr displaystyle ce pu
+    `
+            .trim()
+            .split(/\s+/)
+    );
 
-    function injectStyles() {
-        const styles = document.createElement('style');
-        styles.textContent = `
-            .math-container {
-                display: inline-block;
-                vertical-align: middle;
-                text-align: left;
+    const GREEK_LETTERS = new Set(
+        `
+        alpha beta gamma delta epsilon varepsilon zeta eta theta vartheta
+        iota kappa lambda mu nu xi pi varpi rho varrho sigma varsigma tau
+        upsilon phi varphi chi psi omega Gamma Delta Theta Lambda Xi Pi
+        Sigma Upsilon Phi Psi Omega
+    `
+            .trim()
+            .split(/\s+/)
+    );
+
+    // Weights for each signal the detector looks at. A positive total means
+    // the content reads like maths, a negative one like prose.
+    const DETECTION_WEIGHTS = {
+        knownCommand: 3,
+        greekCommand: 2.5,
+        unknownCommand: 1,
+        scriptWithOperand: 2,
+        braces: 0.5,
+        mathSymbol: 2,
+        operatorDensity: 6,
+        singleLetterVariable: 0.5,
+        wordRatio: -4,
+        plainNumber: -5,
+        url: -5,
+    };
+
+    // Minimum score each policy needs. 'permissive' accepts everything,
+    // 'off' rejects everything.
+    const DETECTION_POLICIES = {
+        permissive: -Infinity,
+        lenient: 0.5,
+        strict: 2.5,
+        off: Infinity,
+    };
+
+    // Labelled examples the detector is measured against with
+    // LaTeXProcessor.evaluateDetection()
+    const DETECTION_CORPUS = [
+        { text: 'x^2 + y^2 = z^2', math: true },
+        { text: '\\frac{a}{b}', math: true },
+        { text: 'a_1 + a_2 + \\cdots + a_n', math: true },
+        { text: '\\alpha + \\beta', math: true },
+        { text: '\\int_0^1 f(x) \\, dx', math: true },
+        { text: '\\sum_{i=1}^{n} i', math: true },
+        { text: 'x \\in \\mathbb{R}', math: true },
+        { text: 'e^{i\\pi} + 1 = 0', math: true },
+        { text: 'f(x) = 3x + 2', math: true },
+        { text: 'a + b = c', math: true },
+        { text: 'n \\geq 2', math: true },
+        { text: '\\sqrt{2}', math: true },
+        { text: 'x_i', math: true },
+        { text: 'α + β = γ', math: true },
+        { text: '\\lim_{x \\to 0} \\frac{\\sin x}{x} = 1', math: true },
+        { text: 'P(A \\mid B)', math: true },
+        { text: '\\mathbf{v} \\cdot \\mathbf{w}', math: true },
+        { text: 'x ≤ y', math: true },
+        { text: '2x - 5 = 11', math: true },
+        { text: '\\theta', math: true },
+        { text: 'x = \\pm 1', math: true },
+        { text: '\\left( \\frac{1}{2} \\right)^2', math: true },
+        { text: 'see the docs', math: false },
+        { text: 'optional', math: false },
+        { text: 'for example', math: false },
+        { text: 'in most cases, this is fine', math: false },
+        { text: 'e.g. the first one', math: false },
+        { text: '42', math: false },
+        { text: '2023', math: false },
+        { text: 'https://example.com/path', math: false },
+        { text: 'see above', math: false },
+        { text: 'Note: this is important', math: false },
+        { text: 'and', math: false },
+        { text: 'if any', math: false },
+        { text: 'which is the default', math: false },
+        { text: 'see Figure 3', math: false },
+        { text: 'TODO', math: false },
+        { text: 'x', math: false },
+        { text: 'the so-called "bias-variance tradeoff"', math: false },
+        { text: 'Python 3.11 or later', math: false },
+        { text: 'i.e. not the last step', math: false },
+        { text: 'link', math: false },
+    ];
+
+    function scoreLatex(content) {
+        const signals = {};
+        const trimmed = content.trim();
+        const add = (name, value) => {
+            if (value) {
+                signals[name] = (signals[name] || 0) + value;
             }
-            .math-container[data-display="block"] {
-                display: block;
-                margin: 0.2em 0;
-                text-align: center;
+        };
+
+        if (!trimmed) {
+            return { score: -Infinity, signals };
+        }
+        if (/^[-+]?\d+(?:[.,]\d+)*$/.test(trimmed)) {
+            add('plainNumber', DETECTION_WEIGHTS.plainNumber);
+        }
+        if (/(?:https?:\/\/|www\.)\S+/.test(trimmed)) {
+            add('url', DETECTION_WEIGHTS.url);
+        }
+
+        const commands = trimmed.match(/\\[a-zA-Z]+/g) || [];
+        commands.forEach(command => {
+            const name = command.slice(1);
+            if (GREEK_LETTERS.has(name)) {
+                add('greekCommand', DETECTION_WEIGHTS.greekCommand);
+            } else if (LATEX_COMMANDS.has(name)) {
+                add('knownCommand', DETECTION_WEIGHTS.knownCommand);
+            } else {
+                add('unknownCommand', DETECTION_WEIGHTS.unknownCommand);
             }
-            .math-container math {
-                vertical-align: 0.5ex;
+        });
+        if (/\\[,;:! ]/.test(trimmed)) {
+            add('knownCommand', DETECTION_WEIGHTS.knownCommand / 2);
+        }
+
+        const scripts =
+            trimmed.match(/[\w)}\]|]\s*[\^_]\s*(?:\{[^}]*\}|\\?[\w(]+)/g) || [];
+        add(
+            'scriptWithOperand',
+            Math.min(scripts.length, 3) * DETECTION_WEIGHTS.scriptWithOperand
+        );
+
+        if (/\{[^{}]*\}/.test(trimmed)) {
+            add('braces', DETECTION_WEIGHTS.braces);
+        }
+
+        const symbols = trimmed.match(/[∫∑∏√∞±≤≥≠≈∈∉⊂⊆∪∩∀∃∂∇→⇒⇔×÷·α-ωΑ-Ω]/g);
+        if (symbols) {
+            add(
+                'mathSymbol',
+                Math.min(symbols.length, 3) * DETECTION_WEIGHTS.mathSymbol
+            );
+        }
+
+        // Strip commands so their names don't count as prose words
+        const plain = trimmed.replace(/\\[a-zA-Z]+/g, ' ');
+        const tokens = plain.match(/[a-zA-Z]+|\d+(?:\.\d+)?|[=+\-*/<>]/g) || [];
+        if (tokens.length > 0) {
+            const operators = tokens.filter(t => /^[=+\-*/<>]$/.test(t));
+            const hasOperands = tokens.length > operators.length;
+            if (operators.length > 0 && hasOperands) {
+                add(
+                    'operatorDensity',
+                    (operators.length / tokens.length) *
+                        DETECTION_WEIGHTS.operatorDensity
+                );
             }
-            .math-processed { /* Marker class */ }
-            .math-processed-wrapper {
-                display: inline;
-                text-align: left;
+
+            const letters = tokens.filter(t => /^[a-zA-Z]$/.test(t));
+            if (letters.length > 0 && tokens.length > 1) {
+                add(
+                    'singleLetterVariable',
+                    Math.min(letters.length, 3) *
+                        DETECTION_WEIGHTS.singleLetterVariable
+                );
             }
-        `;
-        document.head.appendChild(styles);
+
+            const words = tokens.filter(t => /^[a-zA-Z]{2,}$/.test(t));
+            add(
+                'wordRatio',
+                (words.length / tokens.length) * DETECTION_WEIGHTS.wordRatio
+            );
+        }
+
+        const score = Object.values(signals).reduce((sum, v) => sum + v, 0);
+        return { score, signals };
     }
-    function getAdjacentTextNodes(node) {
-        const nodes = [];
-        let current = node;
-        let text = '';
 
-        // Collect preceding text nodes
-        while (current.previousSibling) {
-            if (current.previousSibling.nodeType === Node.TEXT_NODE) {
-                text = current.previousSibling.textContent + text;
-                nodes.unshift({
-                    type: 'text',
-                    node: current.previousSibling,
-                    content: current.previousSibling.textContent,
-                });
-            } else if (
-                current.previousSibling.nodeType === Node.ELEMENT_NODE &&
-                ['BR', 'DIV', 'P'].includes(current.previousSibling.tagName)
-            ) {
-                text = '\n' + text;
-                nodes.unshift({
-                    type: 'newline',
-                    node: current.previousSibling,
-                });
-            } else {
-                break;
-            }
-            current = current.previousSibling;
+    function getDetectionThreshold(delimiterType) {
+        const policy =
+            config.detection.policies[delimiterType] ||
+            config.detection.policies.default;
+        if (policy === 'strict') {
+            return config.detection.threshold;
         }
+        return DETECTION_POLICIES[policy] ?? config.detection.threshold;
+    }
 
-        // Add current node
-        text += node.textContent;
-        nodes.push({
-            type: 'text',
-            node: node,
-            content: node.textContent,
-        });
+    function isLikelyLatex(content, delimiterType = 'default') {
+        const threshold = getDetectionThreshold(delimiterType);
+        if (threshold === -Infinity) {
+            return true;
+        }
+        if (threshold === Infinity) {
+            return false;
+        }
+        return scoreLatex(content).score >= threshold;
+    }
 
-        // Collect following text nodes
-        current = node;
-        while (current.nextSibling) {
-            if (current.nextSibling.nodeType === Node.TEXT_NODE) {
-                text += current.nextSibling.textContent;
-                nodes.push({
-                    type: 'text',
-                    node: current.nextSibling,
-                    content: current.nextSibling.textContent,
-                });
-            } else if (
-                current.nextSibling.nodeType === Node.ELEMENT_NODE &&
-                ['BR', 'DIV', 'P'].includes(current.nextSibling.tagName)
-            ) {
-                text += '\n';
-                nodes.push({
-                    type: 'newline',
-                    node: current.nextSibling,
-                });
+    function evaluateDetection(
+        corpus = DETECTION_CORPUS,
+        delimiterType = 'brackets'
+    ) {
+        const result = {
+            truePositives: 0,
+            falsePositives: 0,
+            trueNegatives: 0,
+            falseNegatives: 0,
+            misclassified: [],
+        };
+
+        corpus.forEach(example => {
+            const detected = isLikelyLatex(example.text, delimiterType);
+            if (detected && example.math) {
+                result.truePositives++;
+            } else if (detected) {
+                result.falsePositives++;
+            } else if (example.math) {
+                result.falseNegatives++;
             } else {
-                break;
+                result.trueNegatives++;
             }
-            current = current.nextSibling;
+            if (detected !== example.math) {
+                result.misclassified.push({
+                    ...example,
+                    ...scoreLatex(example.text),
+                });
+            }
+        });
+
+        const { truePositives, falsePositives, falseNegatives } = result;
+        result.precision =
+            truePositives / (truePositives + falsePositives || 1);
+        result.recall = truePositives / (truePositives + falseNegatives || 1);
+        result.accuracy =
+            (truePositives + result.trueNegatives) / (corpus.length || 1);
+        return result;
+    }
+
+    // Returns the length of a currency amount such as $5, $1,200.50 or $3.5M
+    // starting at pos, or 0 if the dollar sign does not start one
+    function matchCurrencyAt(text, pos) {
+        const rest = text.slice(pos);
+        const amount = rest.match(CURRENCY_AMOUNT);
+        if (!amount) {
+            return 0;
         }
 
-        return { nodes, text };
+        let length = amount[0].length;
+        const suffix = rest.slice(length).match(CURRENCY_SUFFIX);
+        if (suffix) {
+            length += suffix[0].length;
+        }
+
+        return CURRENCY_FOLLOWER.test(rest.slice(length)) ? length : 0;
     }
 
-    function findMatchingDelimiter(text, startPos) {
-        // Helper function to find matching bracket considering nesting
-        function findMatchingBracket(openBracket, closeBracket, pos) {
-            let depth = 1;
-            let i = pos + 1;
-            while (i < text.length) {
-                if (text[i] === openBracket && text[i - 1] !== '\\') {
-                    depth++;
-                } else if (text[i] === closeBracket && text[i - 1] !== '\\') {
-                    depth--;
-                    if (depth === 0) {
-                        return i;
-                    }
+    function isCurrencyRangeEnd(text, pos) {
+        // The second half of "$5-$10", "$5 – $10" or "$5 to $10"
+        const before = text.slice(Math.max(0, pos - 24), pos);
+        return (
+            matchCurrencyAt(text, pos) > 0 &&
+            /\$\d[\d,.]*(?:\s?[kKmMbB]n?)?\s*(?:-|–|—|to|and|or)\s*$/.test(
+                before
+            )
+        );
+    }
+
+    function countCurrencyAmounts(text) {
+        let count = 0;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '$' && text[i - 1] !== '\\') {
+                const length = matchCurrencyAt(text, i);
+                if (length > 0) {
+                    count++;
+                    i += length - 1;
                 }
-                i++;
             }
-            return -1;
         }
+        return count;
+    }
 
-        // Check if content contains a valid dollar-sign expression
-        function containsDollarExpression(content) {
-            return /\$[^\$]+\$/.test(content);
+    // Strict check used whenever money and maths could be confused
+    function looksLikeDollarMath(content) {
+        if (/(^|[^\\])\$/.test(content)) {
+            return false;
+        }
+        // Prose between two amounts ("5 and 10 later") is not maths
+        if (/\b[a-zA-Z]{3,}\b/.test(content.replace(/\\[a-zA-Z]+/g, ' '))) {
+            return false;
+        }
+        if (/[\\^_{}=<>]/.test(content)) {
+            return true;
         }
+        if (/[∫∑∏√∞±≤≥≠α-ωΑ-Ω]/.test(content)) {
+            return true;
+        }
+        return (
+            /^[a-zA-Z]$/.test(content.trim()) ||
+            /[a-zA-Z0-9)]\s*[-+*/]\s*[a-zA-Z0-9(]/.test(content) ||
+            /\d[a-zA-Z]|[a-zA-Z]\d/.test(content)
+        );
+    }
 
-        // Handle display dollars
-        if (text.startsWith('$$', startPos)) {
-            const endPos = text.indexOf('$$', startPos + 2);
-            if (endPos !== -1) {
-                return {
-                    start: startPos,
-                    end: endPos + 2,
-                    delimiter: DELIMITERS.DISPLAY_DOLLARS,
-                    type: 'dollars',
-                };
-            }
+    // Pandoc rules: the opening $ must be followed by a non-space character,
+    // the closing $ preceded by a non-space character and not followed by a
+    // digit
+    function findInlineDollarEnd(text, startPos) {
+        if (!text[startPos + 1] || /\s/.test(text[startPos + 1])) {
+            return -1;
         }
 
-        // Handle inline dollars
-        if (text[startPos] === '$' && !text.startsWith('$$', startPos)) {
-            let pos = startPos + 1;
-            while (pos < text.length) {
-                if (text[pos] === '$' && text[pos - 1] !== '\\') {
-                    return {
-                        start: startPos,
-                        end: pos + 1,
-                        delimiter: DELIMITERS.INLINE_DOLLARS,
-                        type: 'dollars',
-                    };
-                }
-                pos++;
+        let pos = startPos + 1;
+        while (pos < text.length) {
+            if (text[pos] === '\n' && text[pos + 1] === '\n') {
+                return -1;
             }
+            if (
+                text[pos] === '$' &&
+                text[pos - 1] !== '\\' &&
+                !/\s/.test(text[pos - 1]) &&
+                !/\d/.test(text[pos + 1] || '')
+            ) {
+                return pos;
+            }
+            pos++;
         }
+        return -1;
+    }
 
-        // Handle escaped delimiters
-        if (text.startsWith('\\[', startPos)) {
-            const endPos = text.indexOf('\\]', startPos + 2);
-            if (endPos !== -1) {
-                const content = text.slice(startPos + 2, endPos);
-                if (containsDollarExpression(content)) {
-                    return null;
-                }
-                return {
-                    start: startPos,
-                    end: endPos + 2,
-                    delimiter: DELIMITERS.DISPLAY_BRACKETS,
-                    type: 'escaped',
-                };
-            }
+    function acceptInlineDollars(text, startPos, endPos) {
+        const content = text.slice(startPos + 1, endPos);
+        if (
+            matchCurrencyAt(text, startPos) > 0 ||
+            isCurrencyRangeEnd(text, startPos)
+        ) {
+            return looksLikeDollarMath(content);
         }
+        return true;
+    }
 
-        if (text.startsWith('\\(', startPos)) {
-            const endPos = text.indexOf('\\)', startPos + 2);
-            if (endPos !== -1) {
-                const content = text.slice(startPos + 2, endPos);
+    // Decides once per message whether single dollars should be read as
+    // maths at all. When the message talks about money and none of the
+    // candidate pairs look like maths, dollars are left alone entirely.
+    function resolveInlineDollarPolicy(text) {
+        const mode = config.inlineDollars;
+        if (mode === 'off' || mode === 'always' || mode === 'pandoc') {
+            return mode;
+        }
+
+        if (!text.includes('$') || countCurrencyAmounts(text) === 0) {
+            return 'smart';
+        }
+
+        let candidates = 0;
+        let mathCandidates = 0;
+        let pos = 0;
+        while ((pos = text.indexOf('$', pos)) !== -1) {
+            if (text[pos - 1] === '\\' || text.startsWith('$$', pos)) {
+                pos += text.startsWith('$$', pos) ? 2 : 1;
+                continue;
+            }
+            const endPos = findInlineDollarEnd(text, pos);
+            if (endPos === -1 || !acceptInlineDollars(text, pos, endPos)) {
+                pos++;
+                continue;
+            }
+            candidates++;
+            if (looksLikeDollarMath(text.slice(pos + 1, endPos))) {
+                mathCandidates++;
+            }
+            pos = endPos + 1;
+        }
+
+        return candidates > 0 && mathCandidates === 0 ? 'off' : 'smart';
+    }
+
+    // Characters for the Unicode renderer
+    const UNICODE_SYMBOLS = {
+        alpha: 'α',
+        beta: 'β',
+        gamma: 'γ',
+        delta: 'δ',
+        epsilon: 'ϵ',
+        varepsilon: 'ε',
+        zeta: 'ζ',
+        eta: 'η',
+        theta: 'θ',
+        vartheta: 'ϑ',
+        iota: 'ι',
+        kappa: 'κ',
+        lambda: 'λ',
+        mu: 'μ',
+        nu: 'ν',
+        xi: 'ξ',
+        pi: 'π',
+        varpi: 'ϖ',
+        rho: 'ρ',
+        varrho: 'ϱ',
+        sigma: 'σ',
+        varsigma: 'ς',
+        tau: 'τ',
+        upsilon: 'υ',
+        phi: 'ϕ',
+        varphi: 'φ',
+        chi: 'χ',
+        psi: 'ψ',
+        omega: 'ω',
+        Gamma: 'Γ',
+        Delta: 'Δ',
+        Theta: 'Θ',
+        Lambda: 'Λ',
+        Xi: 'Ξ',
+        Pi: 'Π',
+        Sigma: 'Σ',
+        Upsilon: 'Υ',
+        Phi: 'Φ',
+        Psi: 'Ψ',
+        Omega: 'Ω',
+        cdot: '·',
+        times: '×',
+        div: '÷',
+        pm: '±',
+        mp: '∓',
+        ast: '∗',
+        star: '⋆',
+        circ: '∘',
+        bullet: '•',
+        oplus: '⊕',
+        otimes: '⊗',
+        leq: '≤',
+        le: '≤',
+        geq: '≥',
+        ge: '≥',
+        neq: '≠',
+        ne: '≠',
+        ll: '≪',
+        gg: '≫',
+        lt: '<',
+        gt: '>',
+        approx: '≈',
+        equiv: '≡',
+        sim: '∼',
+        simeq: '≃',
+        cong: '≅',
+        propto: '∝',
+        infty: '∞',
+        partial: '∂',
+        nabla: '∇',
+        sum: '∑',
+        prod: '∏',
+        coprod: '∐',
+        int: '∫',
+        iint: '∬',
+        iiint: '∭',
+        oint: '∮',
+        in: '∈',
+        notin: '∉',
+        ni: '∋',
+        subset: '⊂',
+        subseteq: '⊆',
+        supset: '⊃',
+        supseteq: '⊇',
+        cup: '∪',
+        cap: '∩',
+        bigcup: '⋃',
+        bigcap: '⋂',
+        setminus: '∖',
+        emptyset: '∅',
+        varnothing: '∅',
+        forall: '∀',
+        exists: '∃',
+        nexists: '∄',
+        neg: '¬',
+        lnot: '¬',
+        land: '∧',
+        wedge: '∧',
+        lor: '∨',
+        vee: '∨',
+        therefore: '∴',
+        because: '∵',
+        to: '→',
+        rightarrow: '→',
+        leftarrow: '←',
+        gets: '←',
+        leftrightarrow: '↔',
+        Rightarrow: '⇒',
+        implies: '⇒',
+        Leftarrow: '⇐',
+        Leftrightarrow: '⇔',
+        iff: '⇔',
+        mapsto: '↦',
+        longrightarrow: '⟶',
+        longleftarrow: '⟵',
+        longleftrightarrow: '⟷',
+        Longrightarrow: '⟹',
+        Longleftrightarrow: '⟺',
+        rightleftharpoons: '⇌',
+        uparrow: '↑',
+        downarrow: '↓',
+        langle: '⟨',
+        rangle: '⟩',
+        lfloor: '⌊',
+        rfloor: '⌋',
+        lceil: '⌈',
+        rceil: '⌉',
+        lvert: '|',
+        rvert: '|',
+        vert: '|',
+        lVert: '‖',
+        rVert: '‖',
+        Vert: '‖',
+        cdots: '⋯',
+        ldots: '…',
+        dots: '…',
+        vdots: '⋮',
+        ddots: '⋱',
+        prime: '′',
+        ell: 'ℓ',
+        hbar: 'ℏ',
+        Re: 'ℜ',
+        Im: 'ℑ',
+        aleph: 'ℵ',
+        mid: '∣',
+        parallel: '∥',
+        perp: '⊥',
+        angle: '∠',
+        triangle: '△',
+        degree: '°',
+        dagger: '†',
+        checkmark: '✓',
+        quad: ' ',
+        qquad: ' ',
+        ',': ' ',
+        ':': ' ',
+        '>': ' ',
+        ';': ' ',
+        ' ': ' ',
+        '!': '',
+        // Rows stay on one line, so inline text and titles keep working
+        '\\': '; ',
+        '|': '‖',
+        '{': '{',
+        '}': '}',
+        '%': '%',
+        '#': '#',
+        $: '$',
+        '&': '&',
+        _: '_',
+    };
+
+    function characterMap(from, to) {
+        const targets = Array.from(to);
+        return new Map(
+            Array.from(from).map((character, i) => [character, targets[i]])
+        );
+    }
+
+    const SUPERSCRIPTS = characterMap(
+        '0123456789+-−=()abcdefghijklmnoprstuvwxyzABDEGHIJKLMNOPRTUVWβγδθφχ∘′*',
+        '⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻⁻⁼⁽⁾ᵃᵇᶜᵈᵉᶠᵍʰⁱʲᵏˡᵐⁿᵒᵖʳˢᵗᵘᵛʷˣʸᶻᴬᴮᴰᴱᴳᴴᴵᴶᴷᴸᴹᴺᴼᴾᴿᵀᵁⱽᵂᵝᵞᵟᶿᵠᵡ°′*'
+    );
+
+    const SUBSCRIPTS = characterMap(
+        '0123456789+-−=()aehijklmnoprstuvxβγρφχ',
+        '₀₁₂₃₄₅₆₇₈₉₊₋₋₌₍₎ₐₑₕᵢⱼₖₗₘₙₒₚᵣₛₜᵤᵥₓᵦᵧᵨᵩᵪ'
+    );
+
+    const DOUBLE_STRUCK = characterMap('CHNPQRZ1', 'ℂℍℕℙℚℝℤ𝟙');
+
+    const VULGAR_FRACTIONS = {
+        '1/2': '½',
+        '1/3': '⅓',
+        '2/3': '⅔',
+        '1/4': '¼',
+        '3/4': '¾',
+        '1/5': '⅕',
+        '1/6': '⅙',
+        '1/8': '⅛',
+    };
+
+    // Combining marks for accents
+    const UNICODE_ACCENTS = {
+        hat: '\u0302',
+        widehat: '\u0302',
+        check: '\u030C',
+        tilde: '\u0303',
+        widetilde: '\u0303',
+        bar: '\u0304',
+        overline: '\u0305',
+        underline: '\u0332',
+        vec: '\u20D7',
+        dot: '\u0307',
+        ddot: '\u0308',
+        acute: '\u0301',
+        grave: '\u0300',
+        breve: '\u0306',
+        mathring: '\u030A',
+    };
+
+    // Brackets drawn around matrices and cases
+    const UNICODE_MATRICES = {
+        pmatrix: ['(', ')'],
+        bmatrix: ['[', ']'],
+        Bmatrix: ['{', '}'],
+        vmatrix: ['|', '|'],
+        Vmatrix: ['‖', '‖'],
+        cases: ['{ ', ''],
+    };
+
+    // Commands whose argument is shown as it is
+    const UNICODE_PASSTHROUGH = new Set(
+        `
+        mathrm mathit mathbf mathsf mathtt mathnormal mathcal mathscr
+        mathfrak boldsymbol bm operatorname boxed overbrace underbrace
+        displaystyle textstyle scriptstyle limits nolimits left right middle
+        big Big bigg Bigg bigl bigr Bigl Bigr biggl biggr Biggl Biggr
+    `
+            .trim()
+            .split(/\s+/)
+    );
+
+    // Raw text of the argument at pos: a braced group, a command or one
+    // character
+    function readUnicodeArgument(latex, pos) {
+        while (/\s/.test(latex[pos] || '')) {
+            pos++;
+        }
+        if (latex[pos] === '{') {
+            const close = findClosingBrace(latex, pos);
+            const end = close === -1 ? latex.length : close;
+            return { raw: latex.slice(pos + 1, end), end: end + 1 };
+        }
+        const command = /^\\(?:[a-zA-Z]+|.)/.exec(latex.slice(pos));
+        const raw = command ? command[0] : latex[pos] || '';
+        return { raw, end: pos + raw.length };
+    }
+
+    function toScript(text, characters, marker) {
+        const parts = Array.from(text.trim());
+        if (parts.length > 0 && parts.every(part => characters.has(part))) {
+            return parts.map(part => characters.get(part)).join('');
+        }
+        return parts.length === 1 ? `${marker}${text}` : `${marker}(${text})`;
+    }
+
+    // Brackets a numerator, denominator or root that is more than one term
+    function unicodeOperand(text) {
+        return /^[\p{L}\p{N}\p{M}.,′√]*$/u.test(text) ? text : `(${text})`;
+    }
+
+    // Readable Unicode for common LaTeX, for browsers without MathML and
+    // for plain text
+    function latexToUnicode(latex) {
+        let output = '';
+        let pos = 0;
+        const environments = [];
+
+        const argument = () => {
+            const { raw, end } = readUnicodeArgument(latex, pos);
+            pos = end;
+            return raw;
+        };
+
+        while (pos < latex.length) {
+            const char = latex[pos];
+
+            if (char === '^' || char === '_') {
+                pos++;
+                output += toScript(
+                    latexToUnicode(argument()),
+                    char === '^' ? SUPERSCRIPTS : SUBSCRIPTS,
+                    char
+                );
+                continue;
+            }
+            if (char === '{') {
+                output += latexToUnicode(argument());
+                continue;
+            }
+            if (char !== '\\') {
+                pos++;
+                if (/\s/.test(char) || char === '~') {
+                    output += ' ';
+                } else if (char === "'") {
+                    output += '′';
+                } else if (char === '&') {
+                    // Cells of a matrix are listed, aligned rows just read on
+                    output +=
+                        environments[environments.length - 1] in
+                        UNICODE_MATRICES
+                            ? ', '
+                            : ' ';
+                } else if (char === '-') {
+                    output += '−';
+                } else if (char !== '}') {
+                    output += char;
+                }
+                continue;
+            }
+
+            const name = /^\\([a-zA-Z]+|.?)/.exec(latex.slice(pos))[1];
+            pos += name.length + 1;
+
+            if (name in UNICODE_SYMBOLS) {
+                output += UNICODE_SYMBOLS[name];
+            } else if (name in UNICODE_ACCENTS) {
+                const base = Array.from(latexToUnicode(argument()));
+                const mark = UNICODE_ACCENTS[name];
+                // Lines run under or over every character
+                output +=
+                    name === 'overline' || name === 'underline'
+                        ? base.map(part => part + mark).join('')
+                        : base.join('') + mark;
+            } else if (/^[dtc]?frac$/.test(name)) {
+                const numerator = latexToUnicode(argument()).trim();
+                const denominator = latexToUnicode(argument()).trim();
+                output +=
+                    VULGAR_FRACTIONS[`${numerator}/${denominator}`] ||
+                    `${unicodeOperand(numerator)}⁄${unicodeOperand(
+                        denominator
+                    )}`;
+            } else if (name === 'sqrt') {
+                let index = '';
+                if (latex[pos] === '[') {
+                    const close = findClosingBracket(latex, pos);
+                    index = latexToUnicode(latex.slice(pos + 1, close));
+                    pos = close + 1;
+                }
+                const radicand = unicodeOperand(latexToUnicode(argument()));
+                const root =
+                    { '': '√', 3: '∛', 4: '∜' }[index] ||
+                    `${toScript(index, SUPERSCRIPTS, '^')}√`;
+                output += root + radicand;
+            } else if (/^[dt]?binom$/.test(name)) {
+                const n = latexToUnicode(argument());
+                output += `C(${n}, ${latexToUnicode(argument())})`;
+            } else if (name === 'overset' || name === 'stackrel') {
+                const label = latexToUnicode(argument());
+                output +=
+                    latexToUnicode(argument()) +
+                    toScript(label, SUPERSCRIPTS, '^');
+            } else if (name === 'underset') {
+                const label = latexToUnicode(argument());
+                output +=
+                    latexToUnicode(argument()) +
+                    toScript(label, SUBSCRIPTS, '_');
+            } else if (name === 'mathbb') {
+                output += Array.from(latexToUnicode(argument()))
+                    .map(part => DOUBLE_STRUCK.get(part) || part)
+                    .join('');
+            } else if (/^(?:text\w*|mbox|hbox)$/.test(name)) {
+                output += argument().replace(/\\(.)/g, '$1');
+            } else if (name === 'not') {
+                output += `${latexToUnicode(argument())}\u0338`;
+            } else if (name === 'begin') {
+                const environment = argument().trim();
+                environments.push(environment);
+                output += UNICODE_MATRICES[environment]?.[0] || '';
+                // Column specs of arrays are not content
+                if (/^(?:array|alignat\*?)$/.test(environment)) {
+                    argument();
+                }
+                while (/\s/.test(latex[pos] || '')) {
+                    pos++;
+                }
+            } else if (name === 'end') {
+                argument();
+                // A trailing \\ leaves an empty row
+                output = output.replace(/[;\s]+$/, '');
+                output += UNICODE_MATRICES[environments.pop()]?.[1] || '';
+            } else if (/^(?:label|color|phantom|hphantom)$/.test(name)) {
+                argument();
+            } else if (name === 'textcolor') {
+                argument();
+                output += latexToUnicode(argument());
+            } else if (UNICODE_PASSTHROUGH.has(name)) {
+                // \left. and \right. draw nothing
+                if (
+                    /^(?:left|right|middle)$/.test(name) &&
+                    latex[pos] === '.'
+                ) {
+                    pos++;
+                }
+            } else if (LATEX_COMMANDS.has(name)) {
+                // Function names such as \sin and \lim
+                output += name;
+            } else {
+                output += `\\${name}`;
+            }
+        }
+
+        return output
+            .replace(/ {2,}/g, ' ')
+            .replace(/ ([;,])/g, '$1')
+            .replace(/[;\s]+$/, '')
+            .trim();
+    }
+
+    // Unicode for LaTeX as the model wrote it, for copying and for other
+    // extensions
+    function toUnicode(latex) {
+        const translated = config.chemistry.enabled
+            ? translateChemistry(latex)
+            : latex;
+        return latexToUnicode(expandMacros(translated));
+    }
+
+    const RENDERERS = {
+        texzilla: {
+            urls: [
+                'https://fred-wang.github.io/TeXZilla/TeXZilla-min.js',
+                'https://cdn.jsdelivr.net/npm/texzilla/TeXZilla-min.js',
+            ],
+            isAvailable: () => typeof window.TeXZilla !== 'undefined',
+            mathML: true,
+            render: (latex, display) => {
+                // Ask TeXZilla to throw instead of returning an <merror>
+                const mathML = window.TeXZilla.toMathML(
+                    latex,
+                    display,
+                    false,
+                    true
+                );
+                return mathML
+                    ? new XMLSerializer().serializeToString(mathML)
+                    : null;
+            },
+        },
+        katex: {
+            urls: [
+                'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.js',
+            ],
+            stylesheets: [
+                'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.css',
+            ],
+            isAvailable: () => typeof window.katex !== 'undefined',
+            render: (latex, display) =>
+                window.katex.renderToString(latex, {
+                    displayMode: display,
+                    throwOnError: true,
+                    output: 'htmlAndMathml',
+                }),
+        },
+        mathjax: {
+            urls: ['https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-mml-svg.js'],
+            isAvailable: () =>
+                typeof window.MathJax !== 'undefined' &&
+                typeof window.MathJax.tex2mml === 'function',
+            mathML: true,
+            beforeLoad: () => {
+                if (typeof window.MathJax === 'undefined') {
+                    // Keep MathJax from typesetting the whole page itself
+                    window.MathJax = {
+                        startup: { typeset: false },
+                        tex: {
+                            formatError: (jax, error) => {
+                                throw error;
+                            },
+                        },
+                        options: { skipHtmlTags: { '[+]': ['body'] } },
+                    };
+                }
+            },
+            ready: () => window.MathJax.startup?.promise,
+            render: (latex, display) =>
+                window.MathJax.tex2mml(latex, { display }),
+        },
+        unicode: {
+            // Plain text, so it needs nothing loaded and works everywhere
+            isAvailable: () => true,
+            render: latex => {
+                const text = document.createElement('span');
+                text.className = 'math-unicode';
+                text.textContent = latexToUnicode(latex);
+                return text.outerHTML;
+            },
+        },
+    };
+
+    // Chrome before 109 and some embedded webviews can't display MathML
+    function supportsMathML() {
+        return typeof window.MathMLElement === 'function';
+    }
+
+    function preferredRenderers() {
+        if (!config.renderer.unicodeFallback || supportsMathML()) {
+            return config.renderer.order;
+        }
+        return config.renderer.order.filter(name => !RENDERERS[name]?.mathML);
+    }
+
+    function loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            const timer = setTimeout(() => {
+                script.remove();
+                reject(new Error(`Timed out loading ${url}`));
+            }, config.renderer.loadTimeout);
+            script.src = url;
+            script.onload = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            script.onerror = () => {
+                clearTimeout(timer);
+                script.remove();
+                reject(new Error(`Failed to load ${url}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    function loadInlineScript(source) {
+        const script = document.createElement('script');
+        script.textContent = source;
+        document.head.appendChild(script);
+    }
+
+    function loadInlineStyles(name, css) {
+        if (document.querySelector(`style[data-latex-renderer="${name}"]`)) {
+            return;
+        }
+        const styles = document.createElement('style');
+        styles.setAttribute('data-latex-renderer', name);
+        styles.textContent = css;
+        document.head.appendChild(styles);
+    }
+
+    function loadStylesheet(url) {
+        if (document.querySelector(`link[href="${url}"]`)) {
+            return;
+        }
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = url;
+        document.head.appendChild(link);
+    }
+
+    async function loadBackend(name) {
+        const backend = RENDERERS[name];
+        if (!backend) {
+            throw new Error(`Unknown renderer: ${name}`);
+        }
+
+        const overrides = config.renderer.backends[name] || {};
+        if (!backend.isAvailable()) {
+            backend.beforeLoad?.();
+            if (overrides.source) {
+                loadInlineScript(overrides.source);
+            } else {
+                const urls = overrides.url ? [overrides.url] : backend.urls;
+                let lastError;
+                for (const url of urls) {
+                    try {
+                        await loadScript(url);
+                        lastError = null;
+                        break;
+                    } catch (error) {
+                        lastError = error;
+                    }
+                }
+                if (lastError) {
+                    throw lastError;
+                }
+            }
+        }
+
+        await backend.ready?.();
+        if (!backend.isAvailable()) {
+            throw new Error(`Renderer ${name} did not initialise`);
+        }
+        if (overrides.styles) {
+            loadInlineStyles(name, overrides.styles);
+        } else {
+            (overrides.stylesheets || backend.stylesheets || []).forEach(
+                loadStylesheet
+            );
+        }
+        return { name, ...backend };
+    }
+
+    // Tries each backend in order and keeps the first one that loads
+    async function loadRenderer(order = preferredRenderers()) {
+        const failures = [];
+        for (const name of order) {
+            try {
+                state.renderer = await loadBackend(name);
+                return state.renderer;
+            } catch (error) {
+                failures.push({ name, error });
+                console.warn(
+                    `LaTeXProcessor: ${name} renderer unavailable`,
+                    error
+                );
+            }
+        }
+        throw new Error(
+            `No renderer could be loaded (${failures
+                .map(f => f.name)
+                .join(', ')})`
+        );
+    }
+
+    function injectStyles() {
+        const styles = document.createElement('style');
+        styles.textContent = `
+            :root {
+                --latex-scale: 1;
+                --latex-font: math;
+                --latex-error: rgba(220, 38, 38, 0.7);
+                --latex-error-background: rgba(220, 38, 38, 0.08);
+                --latex-button-border: rgba(128, 128, 128, 0.4);
+                --latex-button-background: rgba(128, 128, 128, 0.15);
+                --latex-highlight: rgba(250, 204, 21, 0.25);
+                --latex-panel-background: #fff;
+                --latex-panel-color: #111827;
+            }
+            :root[data-latex-theme="dark"] {
+                --latex-error: rgba(248, 113, 113, 0.8);
+                --latex-error-background: rgba(248, 113, 113, 0.12);
+                --latex-button-border: rgba(255, 255, 255, 0.25);
+                --latex-button-background: rgba(38, 38, 38, 0.9);
+                --latex-highlight: rgba(250, 204, 21, 0.2);
+                --latex-panel-background: #1f2937;
+                --latex-panel-color: #f3f4f6;
+            }
+            .math-container {
+                display: inline-block;
+                /* An inline-block sits on the baseline of its content, which
+                   is the maths' own baseline */
+                vertical-align: baseline;
+                max-width: 100%;
+                font-size: calc(var(--latex-scale) * 1em);
+                text-align: left;
+            }
+            .math-container[data-display="block"] {
+                display: block;
+                margin: 0.2em 0;
+                text-align: center;
+            }
+            .math-container math {
+                font-family: var(--latex-font);
+                vertical-align: baseline;
+            }
+            .math-container .math-unicode {
+                font-family: var(--latex-font);
+            }
+            .math-container > .math-body {
+                display: block;
+                min-width: 0;
+                max-width: 100%;
+                overflow-x: auto;
+                overflow-y: hidden;
+            }
+            .math-container.math-error {
+                padding: 0 0.3em;
+                border: 1px dashed var(--latex-error);
+                border-radius: 0.25em;
+                background: var(--latex-error-background);
+                color: inherit;
+                font-family: monospace;
+                font-size: 0.9em;
+                white-space: pre-wrap;
+                cursor: help;
+            }
+            .math-container {
+                position: relative;
+            }
+            .math-copy-button {
+                position: absolute;
+                top: -1.4em;
+                right: 0;
+                z-index: 1;
+                display: none;
+                padding: 0 0.4em;
+                border: 1px solid var(--latex-button-border);
+                border-radius: 0.25em;
+                background: var(--latex-button-background);
+                color: inherit;
+                font: 0.7rem/1.4 sans-serif;
+                cursor: pointer;
+                user-select: none;
+            }
+            .math-container:hover > .math-copy-button,
+            .math-copy-button:focus-visible {
+                display: block;
+            }
+            .math-container.math-show-source > :not(.math-copy-button),
+            .latex-show-sources
+                .math-container:not(.math-error)
+                > :not(.math-copy-button) {
+                display: none;
+            }
+            .math-container.math-show-source::before,
+            .latex-show-sources .math-container:not(.math-error)::before {
+                content: attr(data-source);
+                font-family: monospace;
+                font-size: 0.9em;
+                white-space: pre-wrap;
+                text-align: left;
+            }
+            .math-processed-wrapper .math-container:not(.math-error) {
+                cursor: pointer;
+            }
+            .math-container.math-numbered {
+                display: flex;
+                align-items: center;
+            }
+            .math-numbered > .math-body {
+                flex: 1;
+                text-align: center;
+            }
+            .math-equation-numbers {
+                display: flex;
+                flex-direction: column;
+                justify-content: space-around;
+                align-self: stretch;
+                margin-left: 1em;
+                white-space: nowrap;
+            }
+            .math-ref {
+                cursor: pointer;
+            }
+            .math-ref-unresolved {
+                cursor: default;
+                opacity: 0.7;
+            }
+            .math-container.math-highlight {
+                background: var(--latex-highlight);
+                transition: background 0.3s;
+            }
+            .math-container.math-provisional {
+                opacity: 0.6;
+            }
+            .math-live-region {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                overflow: hidden;
+                clip: rect(0 0 0 0);
+                white-space: nowrap;
+            }
+            .latex-debug-overlay {
+                position: absolute;
+                top: 0;
+                left: 0;
+                z-index: 9999;
+                pointer-events: none;
+            }
+            .latex-debug-box {
+                position: absolute;
+                box-sizing: border-box;
+                border: 1px solid;
+            }
+            .latex-debug-accepted {
+                border-color: rgba(22, 163, 74, 0.8);
+                background: rgba(22, 163, 74, 0.08);
+            }
+            .latex-debug-rejected {
+                border-color: rgba(220, 38, 38, 0.8);
+                background: rgba(220, 38, 38, 0.08);
+            }
+            .latex-debug-skipped {
+                border-color: rgba(128, 128, 128, 0.8);
+                border-style: dashed;
+            }
+            .latex-debug-label {
+                position: absolute;
+                bottom: 100%;
+                left: -1px;
+                padding: 0 0.3em;
+                background: rgba(0, 0, 0, 0.75);
+                color: #fff;
+                font: 10px/1.4 monospace;
+                white-space: nowrap;
+                pointer-events: auto;
+                cursor: help;
+            }
+            .latex-preview {
+                position: fixed;
+                z-index: 50;
+                box-sizing: border-box;
+                max-height: 40vh;
+                display: flex;
+                flex-direction: column;
+                border: 1px solid var(--latex-button-border);
+                border-radius: 0.5em;
+                background: var(--latex-panel-background);
+                color: var(--latex-panel-color);
+                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+                font-size: 0.9rem;
+            }
+            .latex-preview[hidden] {
+                display: none;
+            }
+            .latex-preview-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 0.2em 0.6em;
+                border-bottom: 1px solid var(--latex-button-border);
+                font: 0.75rem/1.4 sans-serif;
+                opacity: 0.8;
+            }
+            .latex-preview-has-errors .latex-preview-title {
+                color: var(--latex-error);
+            }
+            .latex-preview-close {
+                border: none;
+                background: none;
+                color: inherit;
+                font-size: 1rem;
+                cursor: pointer;
+            }
+            .latex-preview-body {
+                overflow: auto;
+                padding: 0.4em 0.6em;
+                white-space: pre-wrap;
+            }
+            .latex-settings-button {
+                position: fixed;
+                right: 1rem;
+                bottom: 6rem;
+                z-index: 50;
+                width: 2rem;
+                height: 2rem;
+                border: 1px solid var(--latex-button-border);
+                border-radius: 50%;
+                background: var(--latex-panel-background);
+                color: var(--latex-panel-color);
+                font-size: 1rem;
+                opacity: 0.5;
+                cursor: pointer;
+            }
+            .latex-settings-button:hover,
+            .latex-settings-button:focus-visible {
+                opacity: 1;
+            }
+            .latex-settings {
+                position: fixed;
+                right: 1rem;
+                bottom: 8.5rem;
+                z-index: 51;
+                box-sizing: border-box;
+                width: 22rem;
+                max-width: calc(100vw - 2rem);
+                max-height: calc(100vh - 10rem);
+                overflow: auto;
+                padding: 0.6em 0.8em;
+                border: 1px solid var(--latex-button-border);
+                border-radius: 0.5em;
+                background: var(--latex-panel-background);
+                color: var(--latex-panel-color);
+                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+                font: 0.8rem/1.5 sans-serif;
+            }
+            .latex-settings-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+            .latex-settings button {
+                border: 1px solid var(--latex-button-border);
+                border-radius: 0.25em;
+                background: var(--latex-button-background);
+                color: inherit;
+                cursor: pointer;
+            }
+            .latex-settings fieldset {
+                margin: 0.5em 0;
+                padding: 0.3em 0.6em;
+                border: 1px solid var(--latex-button-border);
+                border-radius: 0.25em;
+            }
+            .latex-settings-field {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 0.5em;
+                margin: 0.2em 0;
+            }
+            .latex-settings-field input[type="checkbox"] {
+                margin: 0;
+            }
+            .latex-settings-field input[type="checkbox"] + span {
+                flex: 1;
+            }
+            .latex-settings select,
+            .latex-settings input[type="number"],
+            .latex-settings input[type="text"] {
+                max-width: 11rem;
+                background: transparent;
+                color: inherit;
+                font: inherit;
+            }
+            .math-processed { /* Marker class */ }
+            .math-processed-wrapper {
+                display: inline;
+                text-align: left;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+
+    function resolveTheme() {
+        if (config.style.theme !== 'auto') {
+            return config.style.theme;
+        }
+        // TypingMind marks dark mode with a class on <html>
+        const root = document.documentElement;
+        if (root.classList.contains('dark')) {
+            return 'dark';
+        }
+        if (root.classList.contains('light')) {
+            return 'light';
+        }
+        return window.matchMedia?.('(prefers-color-scheme: dark)').matches
+            ? 'dark'
+            : 'light';
+    }
+
+    // Pushes config.style into the CSS variables the stylesheet uses
+    function applyStyle() {
+        const root = document.documentElement;
+        root.style.setProperty('--latex-scale', String(config.style.scale));
+        if (config.style.font) {
+            root.style.setProperty(
+                '--latex-font',
+                `"${config.style.font}", math`
+            );
+        } else {
+            root.style.removeProperty('--latex-font');
+        }
+        if (root.getAttribute('data-latex-theme') !== resolveTheme()) {
+            root.setAttribute('data-latex-theme', resolveTheme());
+        }
+    }
+
+    function watchTheme() {
+        new MutationObserver(applyStyle).observe(document.documentElement, {
+            attributes: true,
+            attributeFilter: ['class'],
+        });
+        window
+            .matchMedia?.('(prefers-color-scheme: dark)')
+            .addEventListener?.('change', applyStyle);
+    }
+
+    // Container -> the LaTeX its display maths was rendered from, so it can
+    // be rendered again on several lines
+    const displayLatex = new WeakMap();
+    let overflowObserver = null;
+
+    function watchOverflow(body) {
+        if (typeof ResizeObserver === 'undefined') {
+            return;
+        }
+        if (!overflowObserver) {
+            overflowObserver = new ResizeObserver(entries =>
+                entries.forEach(entry => {
+                    if (entry.target.isConnected) {
+                        wrapOverflowing(entry.target);
+                    } else {
+                        overflowObserver.unobserve(entry.target);
+                    }
+                })
+            );
+        }
+        overflowObserver.observe(body);
+    }
+
+    // Equation bodies in or at node stop being watched, so reverted and
+    // removed maths can be garbage collected in a long-lived chat
+    function unwatchOverflow(node) {
+        if (!overflowObserver || node.nodeType !== Node.ELEMENT_NODE) {
+            return;
+        }
+        if (node.matches('.math-body')) {
+            overflowObserver.unobserve(node);
+        }
+        node.querySelectorAll('.math-body').forEach(body =>
+            overflowObserver.unobserve(body)
+        );
+    }
+
+    const RELATIONS =
+        /^(?:=|<|>|\\(?:leq?|geq?|neq?|approx|equiv|sim|simeq|cong|propto|to|Rightarrow|Leftrightarrow|iff|implies)(?![a-zA-Z]))/;
+
+    // Splits "a = b + c = d" into aligned rows before every relation after
+    // the first. Returns null when there is nothing to split at.
+    function breakAtRelations(latex) {
+        if (/\\\\|&/.test(latex)) {
+            return null;
+        }
+        const relations = [];
+        let depth = 0;
+        for (let i = 0; i < latex.length; i++) {
+            if (latex[i] === '\\' && /^\\[{}]/.test(latex.slice(i))) {
+                i++;
+            } else if (
+                latex[i] === '{' ||
+                latex.startsWith('\\left', i) ||
+                latex.startsWith('\\begin', i)
+            ) {
+                depth++;
+            } else if (
+                latex[i] === '}' ||
+                latex.startsWith('\\right', i) ||
+                latex.startsWith('\\end', i)
+            ) {
+                depth--;
+            } else if (depth === 0 && RELATIONS.test(latex.slice(i))) {
+                relations.push(i);
+            }
+        }
+        if (relations.length < 2) {
+            return null;
+        }
+
+        // Each row is aligned on its relation
+        const left = latex.slice(0, relations[0]).trim();
+        const rows = relations.map((position, index) => {
+            const row = latex.slice(position, relations[index + 1]).trim();
+            return index === 0 ? `${left} &${row}` : `&${row}`;
+        });
+        return `\\begin{aligned}${rows.join(' \\\\ ')}\\end{aligned}`;
+    }
+
+    function wrapOverflowing(body) {
+        const container = body.parentElement;
+        if (
+            config.style.overflow !== 'wrap' ||
+            !container ||
+            container.hasAttribute('data-wrapped') ||
+            body.scrollWidth <= body.clientWidth + 1
+        ) {
+            return;
+        }
+        const latex = breakAtRelations(displayLatex.get(container) || '');
+        if (!latex) {
+            return;
+        }
+        try {
+            body.innerHTML = renderCached(latex, true);
+        } catch {
+            // Still scrolls
+            return;
+        }
+        container.setAttribute('data-wrapped', '');
+        body.querySelectorAll('math').forEach(math => {
+            math.setAttribute('alttext', container.getAttribute('data-latex'));
+        });
+    }
+    const FORMATTING_TAGS = ['EM', 'I', 'STRONG', 'B'];
+
+    // Emphasis that only holds text may be maths whose _ or * markers were
+    // consumed by Markdown, e.g. $a_1 + b_1$ arriving as $a<em>1 + b</em>1$
+    function isFormattingCandidate(element, excluded) {
+        return (
+            element.nodeType === Node.ELEMENT_NODE &&
+            FORMATTING_TAGS.includes(element.tagName) &&
+            !excluded.has(element) &&
+            element.textContent.length > 0 &&
+            Array.from(element.childNodes).every(
+                child => child.nodeType === Node.TEXT_NODE
+            )
+        );
+    }
+
+    // Rebuilds the Markdown source of an emphasis element. A marker right
+    // after ^ was a superscript star (x^*), anything else a subscript.
+    function restoreFormattingSource(element, precedingText) {
+        const single = /\^\s*$/.test(precedingText) ? '*' : '_';
+        const marker = ['STRONG', 'B'].includes(element.tagName)
+            ? single + single
+            : single;
+        return marker + element.textContent + marker;
+    }
+
+    // Returns the formatting entries whose markers did not end up inside
+    // maths, which means they were real emphasis after all
+    function findStrayFormatting(nodes, segments) {
+        const ranges = [];
+        let offset = 0;
+        segments.forEach(segment => {
+            const length =
+                typeof segment === 'string'
+                    ? segment.length
+                    : segment.content.length;
+            if (typeof segment !== 'string') {
+                ranges.push([offset, offset + length]);
+            }
+            offset += length;
+        });
+
+        const stray = [];
+        offset = 0;
+        nodes.forEach(entry => {
+            const length = entry.type === 'newline' ? 1 : entry.content.length;
+            // Both restored markers must land inside maths, though not
+            // necessarily the same expression ($f^*(x)$ and $g^*$)
+            const inMath = position =>
+                ranges.some(
+                    ([start, end]) => start <= position && position < end
+                );
+            if (
+                entry.type === 'formatting' &&
+                (!inMath(offset) || !inMath(offset + length - 1))
+            ) {
+                stray.push(entry.node);
+            }
+            offset += length;
+        });
+        return stray;
+    }
+
+    // Wrappers from the cross-paragraph pass span several blocks and can't
+    // be re-read as plain text
+    function isMergeableWrapper(node) {
+        return (
+            wrapperOriginals.has(node) && !wrapperOriginals.get(node).restore
+        );
+    }
+
+    function getAdjacentTextNodes(node, excluded = new Set()) {
+        const nodes = [];
+        let current = node;
+        let text = '';
+
+        // Collect preceding text nodes
+        while (current.previousSibling) {
+            if (current.previousSibling.nodeType === Node.TEXT_NODE) {
+                text = current.previousSibling.textContent + text;
+                nodes.unshift({
+                    type: 'text',
+                    node: current.previousSibling,
+                    content: current.previousSibling.textContent,
+                });
+            } else if (isMergeableWrapper(current.previousSibling)) {
+                const { text: source } = wrapperOriginals.get(
+                    current.previousSibling
+                );
+                text = source + text;
+                nodes.unshift({
+                    type: 'wrapper',
+                    node: current.previousSibling,
+                    content: source,
+                });
+            } else if (
+                isFormattingCandidate(current.previousSibling, excluded)
+            ) {
+                // The text before the element isn't collected yet, so look
+                // at the sibling directly
+                const before = current.previousSibling.previousSibling;
+                const source = restoreFormattingSource(
+                    current.previousSibling,
+                    before?.nodeType === Node.TEXT_NODE
+                        ? before.textContent
+                        : ''
+                );
+                text = source + text;
+                nodes.unshift({
+                    type: 'formatting',
+                    node: current.previousSibling,
+                    content: source,
+                });
+            } else if (
+                current.previousSibling.nodeType === Node.ELEMENT_NODE &&
+                ['BR', 'DIV', 'P'].includes(current.previousSibling.tagName)
+            ) {
+                text = '\n' + text;
+                nodes.unshift({
+                    type: 'newline',
+                    node: current.previousSibling,
+                });
+            } else {
+                break;
+            }
+            current = current.previousSibling;
+        }
+
+        // Add current node
+        text += node.textContent;
+        nodes.push({
+            type: 'text',
+            node: node,
+            content: node.textContent,
+        });
+
+        // Collect following text nodes
+        current = node;
+        while (current.nextSibling) {
+            if (current.nextSibling.nodeType === Node.TEXT_NODE) {
+                text += current.nextSibling.textContent;
+                nodes.push({
+                    type: 'text',
+                    node: current.nextSibling,
+                    content: current.nextSibling.textContent,
+                });
+            } else if (isMergeableWrapper(current.nextSibling)) {
+                const { text: source } = wrapperOriginals.get(
+                    current.nextSibling
+                );
+                text += source;
+                nodes.push({
+                    type: 'wrapper',
+                    node: current.nextSibling,
+                    content: source,
+                });
+            } else if (isFormattingCandidate(current.nextSibling, excluded)) {
+                const source = restoreFormattingSource(
+                    current.nextSibling,
+                    text
+                );
+                text += source;
+                nodes.push({
+                    type: 'formatting',
+                    node: current.nextSibling,
+                    content: source,
+                });
+            } else if (
+                current.nextSibling.nodeType === Node.ELEMENT_NODE &&
+                ['BR', 'DIV', 'P'].includes(current.nextSibling.tagName)
+            ) {
+                text += '\n';
+                nodes.push({
+                    type: 'newline',
+                    node: current.nextSibling,
+                });
+            } else {
+                break;
+            }
+            current = current.nextSibling;
+        }
+
+        return { nodes, text };
+    }
+
+    function findMatchingDelimiter(text, startPos, options = {}) {
+        const inlineDollars = options.inlineDollars || config.inlineDollars;
+
+        // Records why a candidate was accepted or rejected, for explain()
+        function note(branch, end, accepted, rule) {
+            options.trace?.push({
+                branch,
+                start: startPos,
+                end,
+                accepted,
+                rule,
+            });
+        }
+
+        // Helper function to find matching bracket considering nesting
+        function findMatchingBracket(openBracket, closeBracket, pos) {
+            let depth = 1;
+            let i = pos + 1;
+            while (i < text.length) {
+                if (text[i] === openBracket && text[i - 1] !== '\\') {
+                    depth++;
+                } else if (text[i] === closeBracket && text[i - 1] !== '\\') {
+                    depth--;
+                    if (depth === 0) {
+                        return i;
+                    }
+                }
+                i++;
+            }
+            return -1;
+        }
+
+        // Check if content contains a valid dollar-sign expression
+        function containsDollarExpression(content) {
+            return /\$[^\$]+\$/.test(content);
+        }
+
+        // Handle display dollars
+        if (
+            text.startsWith('$$', startPos) &&
+            !config.delimiters.displayDollars
+        ) {
+            note('display-dollars', null, false, 'disabled');
+            return null;
+        }
+        if (text.startsWith('$$', startPos)) {
+            const endPos = text.indexOf('$$', startPos + 2);
+            if (endPos === -1) {
+                note('display-dollars', null, false, 'no-closing-delimiter');
+            } else {
+                note('display-dollars', endPos + 2, true, 'delimiters');
+                return {
+                    start: startPos,
+                    end: endPos + 2,
+                    delimiter: DELIMITERS.DISPLAY_DOLLARS,
+                    type: 'dollars',
+                };
+            }
+        }
+
+        // Handle inline dollars
+        if (
+            text[startPos] === '$' &&
+            !text.startsWith('$$', startPos) &&
+            inlineDollars === 'always'
+        ) {
+            let pos = startPos + 1;
+            while (pos < text.length) {
+                if (text[pos] === '$' && text[pos - 1] !== '\\') {
+                    note('inline-dollars', pos + 1, true, 'inlineDollars');
+                    return {
+                        start: startPos,
+                        end: pos + 1,
+                        delimiter: DELIMITERS.INLINE_DOLLARS,
+                        type: 'dollars',
+                    };
+                }
+                pos++;
+            }
+            note('inline-dollars', null, false, 'no-closing-delimiter');
+        } else if (
+            text[startPos] === '$' &&
+            !text.startsWith('$$', startPos) &&
+            inlineDollars === 'off'
+        ) {
+            note('inline-dollars', null, false, 'inlineDollars');
+        } else if (text[startPos] === '$' && !text.startsWith('$$', startPos)) {
+            const endPos = findInlineDollarEnd(text, startPos);
+            if (endPos === -1) {
+                note('inline-dollars', null, false, 'pandoc-rules');
+            } else if (
+                inlineDollars !== 'pandoc' &&
+                !acceptInlineDollars(text, startPos, endPos)
+            ) {
+                note('inline-dollars', endPos + 1, false, 'currency');
+            } else if (
+                !isLikelyLatex(text.slice(startPos + 1, endPos), 'dollars')
+            ) {
+                note('inline-dollars', endPos + 1, false, 'isLikelyLatex');
+            } else {
+                note('inline-dollars', endPos + 1, true, 'isLikelyLatex');
+                return {
+                    start: startPos,
+                    end: endPos + 1,
+                    delimiter: DELIMITERS.INLINE_DOLLARS,
+                    type: 'dollars',
+                };
+            }
+        }
+
+        // Handle bare \begin{...}...\end{...} environments
+        if (
+            text.startsWith('\\begin{', startPos) &&
+            !config.delimiters.environments
+        ) {
+            note('environment', null, false, 'disabled');
+        } else if (text.startsWith('\\begin{', startPos)) {
+            const environment = findEnvironmentEnd(text, startPos);
+            if (!environment) {
+                note('environment', null, false, 'findEnvironmentEnd');
+            } else {
+                note(
+                    'environment',
+                    environment.end,
+                    true,
+                    'findEnvironmentEnd'
+                );
+                return {
+                    start: startPos,
+                    end: environment.end,
+                    delimiter: DELIMITERS.ENVIRONMENT,
+                    type: 'environment',
+                };
+            }
+        }
+
+        // Handle escaped delimiters
+        if (
+            text.startsWith('\\[', startPos) &&
+            !config.delimiters.escapedDisplay
+        ) {
+            note('escaped-display', null, false, 'disabled');
+            return null;
+        }
+        if (text.startsWith('\\[', startPos)) {
+            const endPos = text.indexOf('\\]', startPos + 2);
+            if (endPos === -1) {
+                note('escaped-display', null, false, 'no-closing-delimiter');
+            } else {
+                const content = text.slice(startPos + 2, endPos);
+                if (containsDollarExpression(content)) {
+                    note(
+                        'escaped-display',
+                        endPos + 2,
+                        false,
+                        'containsDollarExpression'
+                    );
+                    return null;
+                }
+                const accepted = isLikelyLatex(content, 'escaped');
+                note('escaped-display', endPos + 2, accepted, 'isLikelyLatex');
+                if (!accepted) {
+                    return null;
+                }
+                return {
+                    start: startPos,
+                    end: endPos + 2,
+                    delimiter: DELIMITERS.DISPLAY_BRACKETS,
+                    type: 'escaped',
+                };
+            }
+        }
+
+        if (
+            text.startsWith('\\(', startPos) &&
+            !config.delimiters.escapedInline
+        ) {
+            note('escaped-inline', null, false, 'disabled');
+            return null;
+        }
+        if (text.startsWith('\\(', startPos)) {
+            const endPos = text.indexOf('\\)', startPos + 2);
+            if (endPos === -1) {
+                note('escaped-inline', null, false, 'no-closing-delimiter');
+            } else {
+                const content = text.slice(startPos + 2, endPos);
+                if (containsDollarExpression(content)) {
+                    note(
+                        'escaped-inline',
+                        endPos + 2,
+                        false,
+                        'containsDollarExpression'
+                    );
+                    return null;
+                }
+                const accepted = isLikelyLatex(content, 'escaped');
+                note('escaped-inline', endPos + 2, accepted, 'isLikelyLatex');
+                if (!accepted) {
+                    return null;
+                }
+                return {
+                    start: startPos,
+                    end: endPos + 2,
+                    delimiter: DELIMITERS.INLINE_PARENS,
+                    type: 'escaped',
+                };
+            }
+        }
+
+        // Handle unescaped brackets that should be LaTeX
+        if (text[startPos] === '[' && !config.delimiters.brackets) {
+            note('bracket', null, false, 'disabled');
+            return null;
+        }
+        if (text[startPos] === '[') {
+            const endPos = findMatchingBracket('[', ']', startPos);
+            if (endPos === -1) {
+                note('bracket', null, false, 'no-closing-delimiter');
+            } else {
+                const content = text.slice(startPos + 1, endPos);
+                // Don't process as LaTeX if it contains dollar expressions
+                if (containsDollarExpression(content)) {
+                    note(
+                        'bracket',
+                        endPos + 1,
+                        false,
+                        'containsDollarExpression'
+                    );
+                    return null;
+                }
+                const accepted = isLikelyLatex(content, 'brackets');
+                note('bracket', endPos + 1, accepted, 'isLikelyLatex');
+                if (accepted) {
+                    return {
+                        start: startPos,
+                        end: endPos + 1,
+                        delimiter: DELIMITERS.DISPLAY_BRACKETS,
+                        type: 'brackets',
+                    };
+                }
+            }
+        }
+
+        // Handle unescaped parentheses that should be LaTeX
+        if (text[startPos] === '(' && !config.delimiters.parens) {
+            note('paren', null, false, 'disabled');
+            return null;
+        }
+        if (text[startPos] === '(') {
+            const endPos = findMatchingBracket('(', ')', startPos);
+            if (endPos === -1) {
+                note('paren', null, false, 'no-closing-delimiter');
+            } else {
+                const content = text.slice(startPos + 1, endPos);
+                // Don't process as LaTeX if it contains dollar expressions
                 if (containsDollarExpression(content)) {
+                    note(
+                        'paren',
+                        endPos + 1,
+                        false,
+                        'containsDollarExpression'
+                    );
                     return null;
                 }
-                return {
-                    start: startPos,
-                    end: endPos + 2,
-                    delimiter: DELIMITERS.INLINE_PARENS,
-                    type: 'escaped',
-                };
+                const accepted = isLikelyLatex(content, 'brackets');
+                note('paren', endPos + 1, accepted, 'isLikelyLatex');
+                if (accepted) {
+                    return {
+                        start: startPos,
+                        end: endPos + 1,
+                        delimiter: DELIMITERS.INLINE_PARENS,
+                        type: 'brackets',
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Finds the \end matching the \begin at startPos, allowing the same
+    // environment to be nested inside itself
+    function findEnvironmentEnd(text, startPos) {
+        const name = text.slice(startPos).match(/^\\begin\{([a-zA-Z]+\*?)\}/);
+        if (!name || !MATH_ENVIRONMENTS.has(name[1])) {
+            return null;
+        }
+
+        const begin = `\\begin{${name[1]}}`;
+        const end = `\\end{${name[1]}}`;
+        let depth = 0;
+        let pos = startPos;
+        while (pos < text.length) {
+            if (text.startsWith(begin, pos)) {
+                depth++;
+                pos += begin.length;
+            } else if (text.startsWith(end, pos)) {
+                if (--depth === 0) {
+                    return { name: name[1], end: pos + end.length };
+                }
+                pos += end.length;
+            } else {
+                pos++;
+            }
+        }
+        return null;
+    }
+
+    function findMathDelimiters(text, settings = {}) {
+        const segments = [];
+        let pos = 0;
+        let lastPos = 0;
+        const options = {
+            inlineDollars: resolveInlineDollarPolicy(text),
+            trace: settings.trace,
+        };
+
+        while (pos < text.length) {
+            let found = false;
+
+            if (text[pos] === '$' && text[pos - 1] === '\\') {
+                settings.trace?.push({
+                    branch: 'inline-dollars',
+                    start: pos,
+                    end: null,
+                    accepted: false,
+                    rule: 'escaped',
+                });
+            }
+
+            if (
+                (text[pos] === '$' ||
+                    text[pos] === '[' ||
+                    text[pos] === '(' ||
+                    text.startsWith('\\[', pos) ||
+                    text.startsWith('\\(', pos) ||
+                    text.startsWith('\\begin{', pos)) &&
+                !(pos > 0 && text[pos - 1] === '\\')
+            ) {
+                const match = findMatchingDelimiter(text, pos, options);
+                if (match) {
+                    if (pos > lastPos) {
+                        segments.push(text.slice(lastPos, pos));
+                    }
+
+                    segments.push({
+                        type: 'math',
+                        content: text.slice(match.start, match.end),
+                        display: match.delimiter.display,
+                        delimiterType: match.type,
+                    });
+
+                    lastPos = match.end;
+                    pos = match.end;
+                    found = true;
+                }
+            }
+
+            if (!found && settings.provisional) {
+                const opener = findUnterminatedDisplay(text, pos);
+                if (opener) {
+                    if (pos > lastPos) {
+                        segments.push(text.slice(lastPos, pos));
+                    }
+                    segments.push({
+                        type: 'math',
+                        content: text.slice(pos) + opener.end,
+                        display: true,
+                        delimiterType: opener.type,
+                        provisional: true,
+                    });
+                    lastPos = text.length;
+                    break;
+                }
+            }
+
+            if (!found) {
+                // A disabled $$ mustn't be read as two single dollars
+                pos +=
+                    text.startsWith('$$', pos) &&
+                    !config.delimiters.displayDollars
+                        ? 2
+                        : 1;
+            }
+        }
+
+        if (lastPos < text.length) {
+            segments.push(text.slice(lastPos));
+        }
+
+        return segments;
+    }
+
+    // While a reply is still streaming, a display block whose closing
+    // delimiter hasn't arrived yet is rendered up to the end of the text
+    function findUnterminatedDisplay(text, pos) {
+        if (pos > 0 && text[pos - 1] === '\\') {
+            return null;
+        }
+        const openers = [
+            config.delimiters.displayDollars && DELIMITERS.DISPLAY_DOLLARS,
+            config.delimiters.escapedDisplay && DELIMITERS.DISPLAY_BRACKETS,
+        ].filter(Boolean);
+        for (const delimiter of openers) {
+            if (
+                text.startsWith(delimiter.start, pos) &&
+                !text.includes(delimiter.end, pos + delimiter.start.length) &&
+                text.slice(pos + delimiter.start.length).trim()
+            ) {
+                return {
+                    end: delimiter.end,
+                    type: delimiter.start === '$$' ? 'dollars' : 'escaped',
+                };
+            }
+        }
+        return null;
+    }
+
+    const DELIMITER_LENGTHS = {
+        'display-dollars': 2,
+        'inline-dollars': 1,
+        'escaped-display': 2,
+        'escaped-inline': 2,
+        bracket: 1,
+        paren: 1,
+    };
+
+    const BRANCH_TYPES = {
+        'display-dollars': 'dollars',
+        'inline-dollars': 'dollars',
+        'escaped-display': 'escaped',
+        'escaped-inline': 'escaped',
+        bracket: 'brackets',
+        paren: 'brackets',
+        environment: 'environment',
+    };
+
+    function describeCandidate(text, candidate) {
+        const described = {
+            ...candidate,
+            content:
+                candidate.end === null
+                    ? null
+                    : text.slice(candidate.start, candidate.end),
+        };
+        if (candidate.rule === 'isLikelyLatex') {
+            const type = BRANCH_TYPES[candidate.branch];
+            const length = DELIMITER_LENGTHS[candidate.branch];
+            const inner = described.content.slice(length, -length);
+            described.policy =
+                config.detection.policies[type] ||
+                config.detection.policies.default;
+            described.threshold = getDetectionThreshold(type);
+            Object.assign(described, scoreLatex(inner));
+        }
+        return described;
+    }
+
+    // Runs the delimiter scan on a string and reports every candidate with
+    // the branch that looked at it and the rule that decided it
+    function explainText(text, settings = {}) {
+        const trace = [];
+        const segments = findMathDelimiters(text, { ...settings, trace });
+        return {
+            text,
+            inlineDollars: resolveInlineDollarPolicy(text),
+            segments,
+            candidates: trace.map(candidate =>
+                describeCandidate(text, candidate)
+            ),
+        };
+    }
+
+    // The same for everything inside an element, one entry per run of text
+    // the processor would read together. Parts it never reads are listed
+    // with the reason in `skipped`.
+    function explainElement(element) {
+        const blocks = [];
+        const seen = new Set();
+
+        const visit = node => {
+            if (seen.has(node)) {
+                return;
+            }
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (!node.data.trim()) {
+                    return;
+                }
+                const skipped = isInCodeBlock(node)
+                    ? 'code-block'
+                    : isExcluded(node)
+                      ? 'excluded'
+                      : !isInScope(node)
+                        ? 'out-of-scope'
+                        : null;
+                if (skipped) {
+                    blocks.push({ node, text: node.data, skipped });
+                    return;
+                }
+                const { nodes, text } = getAdjacentTextNodes(node);
+                nodes.forEach(entry => seen.add(entry.node));
+                blocks.push({ node, nodes, ...explainText(text) });
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
+            if (wrapperOriginals.has(node)) {
+                // Already rendered: explain the text it was made from
+                blocks.push({
+                    node,
+                    rendered: true,
+                    ...explainText(wrapperOriginals.get(node).text),
+                });
+                return;
+            }
+            if (isCodeElement(node)) {
+                blocks.push({
+                    node,
+                    text: node.textContent,
+                    skipped: 'code-block',
+                });
+                return;
+            }
+            Array.from(node.childNodes).forEach(visit);
+        };
+
+        visit(element);
+        return blocks;
+    }
+
+    // Range covering [start, end) of the text getAdjacentTextNodes built
+    // from entries
+    function rangeFromOffsets(entries, start, end) {
+        const range = document.createRange();
+        let offset = 0;
+        let started = false;
+        for (const entry of entries) {
+            const length = entry.type === 'newline' ? 1 : entry.content.length;
+            if (!started && start < offset + length) {
+                if (entry.type === 'text') {
+                    range.setStart(entry.node, start - offset);
+                } else {
+                    range.setStartBefore(entry.node);
+                }
+                started = true;
+            }
+            if (started && end <= offset + length) {
+                if (entry.type === 'text') {
+                    range.setEnd(entry.node, end - offset);
+                } else {
+                    range.setEndAfter(entry.node);
+                }
+                return range;
+            }
+            offset += length;
+        }
+        return null;
+    }
+
+    function formatCandidate(candidate) {
+        const score =
+            candidate.score === undefined
+                ? ''
+                : ` ${candidate.score.toFixed(1)}/${candidate.threshold}`;
+        return `${candidate.accepted ? '✓' : '✗'} ${candidate.branch}: ${
+            candidate.rule
+        }${score}`;
+    }
+
+    function addDebugBox(layer, rects, label, status, details) {
+        Array.from(rects || []).forEach((rect, index) => {
+            const box = document.createElement('div');
+            box.className = `latex-debug-box latex-debug-${status}`;
+            box.style.left = `${rect.left + window.scrollX}px`;
+            box.style.top = `${rect.top + window.scrollY}px`;
+            box.style.width = `${rect.width}px`;
+            box.style.height = `${rect.height}px`;
+            if (index === 0) {
+                const tag = document.createElement('span');
+                tag.className = 'latex-debug-label';
+                tag.textContent = label;
+                tag.title = details;
+                box.appendChild(tag);
+            }
+            layer.appendChild(box);
+        });
+    }
+
+    // Outlines every candidate on the page with the result explain() gives
+    // for it: green when rendered, red when rejected, grey when skipped
+    function renderDebugOverlay() {
+        state.debugLayer?.remove();
+        state.debugLayer = null;
+        if (!state.debug) {
+            return;
+        }
+
+        const layer = document.createElement('div');
+        layer.className = 'latex-debug-overlay';
+        getScopeRoots(document.body).forEach(root => {
+            explainElement(root).forEach(block => {
+                if (block.skipped === 'code-block') {
+                    const range = document.createRange();
+                    range.selectNodeContents(block.node);
+                    addDebugBox(
+                        layer,
+                        range.getClientRects?.(),
+                        'skipped: code-block',
+                        'skipped',
+                        block.text
+                    );
+                } else if (block.rendered) {
+                    block.node
+                        .querySelectorAll('.math-container')
+                        .forEach(container => {
+                            const candidate = block.candidates.find(
+                                candidate =>
+                                    candidate.accepted &&
+                                    candidate.content ===
+                                        container.getAttribute('data-source')
+                            );
+                            addDebugBox(
+                                layer,
+                                container.getClientRects(),
+                                candidate
+                                    ? formatCandidate(candidate)
+                                    : '✓ rendered',
+                                container.classList.contains('math-error')
+                                    ? 'rejected'
+                                    : 'accepted',
+                                JSON.stringify(candidate || {}, null, 1)
+                            );
+                        });
+                } else if (block.candidates) {
+                    block.candidates.forEach(candidate => {
+                        const range = rangeFromOffsets(
+                            block.nodes,
+                            candidate.start,
+                            candidate.end ?? candidate.start + 1
+                        );
+                        addDebugBox(
+                            layer,
+                            range?.getClientRects?.(),
+                            formatCandidate(candidate),
+                            candidate.accepted ? 'accepted' : 'rejected',
+                            JSON.stringify(candidate, null, 1)
+                        );
+                    });
+                }
+            });
+        });
+        document.body.appendChild(layer);
+        state.debugLayer = layer;
+    }
+
+    let debugFrame = null;
+
+    function scheduleDebugOverlay() {
+        if (debugFrame === null) {
+            debugFrame = requestAnimationFrame(() => {
+                debugFrame = null;
+                renderDebugOverlay();
+            });
+        }
+    }
+
+    function setDebugOverlay(enabled) {
+        state.debug = enabled;
+        const method = enabled ? 'addEventListener' : 'removeEventListener';
+        window[method]('resize', scheduleDebugOverlay);
+        // Capturing catches scrolling of the chat pane, not only the window
+        document[method]('scroll', scheduleDebugOverlay, true);
+        renderDebugOverlay();
+    }
+
+    function loadUserMacros() {
+        const macros = { ...DEFAULT_MACROS };
+        try {
+            const stored = localStorage.getItem(config.macros.storageKey);
+            Object.assign(macros, stored ? JSON.parse(stored) : {});
+        } catch (error) {
+            console.warn('LaTeXProcessor: could not read stored macros', error);
+        }
+        // null marks a default the user removed
+        Object.keys(macros).forEach(name => {
+            if (macros[name] === null) {
+                delete macros[name];
+            }
+        });
+        return macros;
+    }
+
+    function saveUserMacros() {
+        const custom = {};
+        Object.entries(state.userMacros).forEach(([name, macro]) => {
+            if (DEFAULT_MACROS[name] !== macro) {
+                custom[name] = macro;
+            }
+        });
+        Object.keys(DEFAULT_MACROS).forEach(name => {
+            if (!(name in state.userMacros)) {
+                custom[name] = null;
+            }
+        });
+        try {
+            localStorage.setItem(
+                config.macros.storageKey,
+                JSON.stringify(custom)
+            );
+        } catch (error) {
+            console.warn('LaTeXProcessor: could not store macros', error);
+        }
+    }
+
+    function normalizeMacro(macro) {
+        if (typeof macro === 'string') {
+            return { body: macro, args: 0 };
+        }
+        return {
+            body: macro.body,
+            args: Math.min(Math.max(parseInt(macro.args, 10) || 0, 0), 9),
+            defaultArg: macro.defaultArg,
+        };
+    }
+
+    function getMacroScope(node) {
+        const root = getMessageRoot(node);
+        if (!root) {
+            return new Map();
+        }
+        if (!messageMacros.has(root)) {
+            messageMacros.set(root, new Map());
+        }
+        return messageMacros.get(root);
+    }
+
+    // Reads a macro argument: a balanced {group}, a control sequence or a
+    // single character. Returns null at the end of the input.
+    function readArgument(text, pos) {
+        while (pos < text.length && /\s/.test(text[pos])) {
+            pos++;
+        }
+        if (pos >= text.length) {
+            return null;
+        }
+
+        if (text[pos] === '{') {
+            let depth = 0;
+            for (let i = pos; i < text.length; i++) {
+                if (text[i] === '\\') {
+                    i++;
+                } else if (text[i] === '{') {
+                    depth++;
+                } else if (text[i] === '}' && --depth === 0) {
+                    return { value: text.slice(pos + 1, i), end: i + 1 };
+                }
+            }
+            return null;
+        }
+
+        if (text[pos] === '\\') {
+            const command = text.slice(pos).match(/^\\(?:[a-zA-Z]+|.)/);
+            return { value: command[0], end: pos + command[0].length };
+        }
+
+        return { value: text[pos], end: pos + 1 };
+    }
+
+    function readOptional(text, pos) {
+        const match = text.slice(pos).match(/^\s*\[([^\]]*)\]/);
+        return match ? { value: match[1], end: pos + match[0].length } : null;
+    }
+
+    // Collects macro definitions into scope and returns the text with the
+    // definitions removed. Their source is added to sources if given.
+    function extractMacroDefinitions(text, scope, sources) {
+        const pattern =
+            /\\(newcommand|renewcommand|providecommand|def|DeclareMathOperator)(\*?)/g;
+        let result = '';
+        let lastPos = 0;
+        let match;
+
+        while ((match = pattern.exec(text))) {
+            const [, kind, star] = match;
+            let pos = match.index + match[0].length;
+            let name;
+            let args = 0;
+            let defaultArg;
+
+            if (kind === 'def') {
+                const nameMatch = text.slice(pos).match(/^\s*\\([a-zA-Z]+)/);
+                if (!nameMatch) {
+                    continue;
+                }
+                name = nameMatch[1];
+                pos += nameMatch[0].length;
+                const params = text.slice(pos).match(/^(?:#\d)*/)[0];
+                args = params.length / 2;
+                pos += params.length;
+            } else {
+                const nameArg = readArgument(text, pos);
+                if (!nameArg || !/^\\[a-zA-Z]+$/.test(nameArg.value.trim())) {
+                    continue;
+                }
+                name = nameArg.value.trim().slice(1);
+                pos = nameArg.end;
+                if (kind !== 'DeclareMathOperator') {
+                    const count = readOptional(text, pos);
+                    if (count) {
+                        args = Math.min(parseInt(count.value, 10) || 0, 9);
+                        pos = count.end;
+                        const optional = readOptional(text, pos);
+                        if (optional) {
+                            defaultArg = optional.value;
+                            pos = optional.end;
+                        }
+                    }
+                }
+            }
+
+            const body = readArgument(text, pos);
+            if (!body) {
+                continue;
+            }
+
+            if (kind === 'providecommand' && scope.has(name)) {
+                // \providecommand never overrides an existing definition
+            } else if (kind === 'DeclareMathOperator') {
+                const operator = star ? '\\operatorname*' : '\\operatorname';
+                scope.set(name, {
+                    body: `${operator}{${body.value}}`,
+                    args: 0,
+                });
+            } else {
+                scope.set(name, { body: body.value, args, defaultArg });
+            }
+
+            sources?.push(text.slice(match.index, body.end));
+            result += text.slice(lastPos, match.index);
+            lastPos = body.end;
+            pattern.lastIndex = body.end;
+        }
+
+        return result + text.slice(lastPos);
+    }
+
+    function lookupMacro(name, scope) {
+        if (scope && scope.has(name)) {
+            return scope.get(name);
+        }
+        const macro = state.userMacros[name];
+        return macro ? normalizeMacro(macro) : null;
+    }
+
+    function expandMacros(latex, scope) {
+        let expansions = 0;
+        let pos = 0;
+        let text = latex;
+
+        while ((pos = text.indexOf('\\', pos)) !== -1) {
+            const command = text.slice(pos).match(/^\\([a-zA-Z]+)/);
+            if (!command) {
+                // Skip escaped characters such as \\ and \{
+                pos += 2;
+                continue;
+            }
+
+            const macro = lookupMacro(command[1], scope);
+            if (!macro) {
+                pos += command[0].length;
+                continue;
+            }
+
+            if (++expansions > config.macros.maxExpansions) {
+                throw new Error(
+                    `Macro expansion limit exceeded while expanding \\${command[1]}`
+                );
+            }
+
+            let end = pos + command[0].length;
+            const args = [];
+            for (let i = 0; i < macro.args; i++) {
+                if (i === 0 && macro.defaultArg !== undefined) {
+                    const optional = readOptional(text, end);
+                    args.push(optional ? optional.value : macro.defaultArg);
+                    end = optional ? optional.end : end;
+                    continue;
+                }
+                const arg = readArgument(text, end);
+                if (!arg) {
+                    throw new Error(
+                        `Missing argument ${i + 1} for \\${command[1]}`
+                    );
+                }
+                args.push(arg.value);
+                end = arg.end;
+            }
+
+            const body = macro.body.replace(/#([1-9])/g, (placeholder, n) =>
+                args[n - 1] !== undefined ? args[n - 1] : placeholder
+            );
+            // A letter straight after the macro must not merge into its body
+            const separator = /^[a-zA-Z]/.test(text.slice(end)) ? ' ' : '';
+            text = text.slice(0, pos) + body + separator + text.slice(end);
+            // Re-scan the replacement so nested macros expand too
+        }
+
+        return text;
+    }
+
+    // Environments whose rows are separated by \\, which Markdown turns
+    // into a single backslash
+    const ROW_ENVIRONMENTS = new Set(
+        `
+        matrix pmatrix bmatrix Bmatrix vmatrix Vmatrix smallmatrix cases
+        dcases rcases array aligned gathered split align align* gather
+        gather* alignat alignat* flalign flalign* eqnarray eqnarray*
+        multline multline*
+    `
+            .trim()
+            .split(/\s+/)
+    );
+
+    // Commands whose next brace is an argument rather than a set
+    const ARGUMENT_COMMANDS = new Set(
+        `
+        frac dfrac tfrac cfrac sqrt binom dbinom tbinom mathrm mathbf mathit
+        mathsf mathtt mathcal mathbb mathfrak mathscr boldsymbol bm text
+        textbf textit textrm texttt textsf textup mbox hbox operatorname hat
+        widehat bar overline underline vec dot ddot tilde widetilde check
+        acute grave breve overbrace underbrace overset underset stackrel
+        xrightarrow xleftarrow color textcolor boxed phantom hphantom
+        vphantom substack label tag ref eqref cancel bcancel ce pu begin end
+        newcommand renewcommand providecommand DeclareMathOperator
+    `
+            .trim()
+            .split(/\s+/)
+    );
+
+    function takesArgument(name) {
+        if (ARGUMENT_COMMANDS.has(name)) {
+            return true;
+        }
+        if (name in state.userMacros) {
+            return normalizeMacro(state.userMacros[name]).args > 0;
+        }
+        // Unknown commands may be macros defined in the message
+        return !(
+            LATEX_COMMANDS.has(name) ||
+            GREEK_LETTERS.has(name) ||
+            name in UNICODE_SYMBOLS
+        );
+    }
+
+    function isArgumentBrace(latex, pos) {
+        const before = latex.slice(0, pos).replace(/\s+$/, '');
+        const command = /\\([a-zA-Z]+)\*?$/.exec(before);
+        if (command) {
+            return takesArgument(command[1]);
+        }
+        return /[\w}\]^_']$/.test(before) || /\\begin\{[^}]*\}$/.test(before);
+    }
+
+    // f({a, b}) passes a group to a function, it isn't a set
+    function isInFunctionCall(latex, pos) {
+        let depth = 0;
+        for (let i = pos - 1; i >= 0; i--) {
+            if (latex[i] === ')') {
+                depth++;
+            } else if (latex[i] === '(' && depth-- === 0) {
+                const before = latex.slice(0, i).replace(/\s+$/, '');
+                const command = /\\([a-zA-Z]+)$/.exec(before);
+                if (command) {
+                    return !/^(?:left|[bB]igg?l?)$/.test(command[1]);
+                }
+                return /[A-Za-z']$/.test(before);
+            }
+        }
+        return false;
+    }
+
+    function findClosingBrace(latex, pos) {
+        let depth = 0;
+        for (let i = pos; i < latex.length; i++) {
+            if (latex[i] === '\\') {
+                i++;
+            } else if (latex[i] === '{') {
+                depth++;
+            } else if (latex[i] === '}' && --depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    const LATEX_REPAIRS = [
+        {
+            // \left\{ and \right\} lose their backslash: \left{ is invalid
+            name: 'delimiter-braces',
+            apply: latex =>
+                latex.replace(
+                    /\\(left|right|[bB]igg?[lr]?)\s*([{}])/g,
+                    '\\$1\\$2'
+                ),
+        },
+        {
+            // Row breaks: "1 & 2 \ 3 & 4" or rows on separate lines with no
+            // separator at all
+            name: 'row-breaks',
+            apply: latex =>
+                latex.replace(
+                    /(\\begin\{([a-zA-Z]+\*?)\}(?:\{[^}]*\})?)([\s\S]*?)(\\end\{\2\})/g,
+                    (whole, begin, name, body, end) => {
+                        if (
+                            !ROW_ENVIRONMENTS.has(name) ||
+                            body.includes('\\\\')
+                        ) {
+                            return whole;
+                        }
+                        let repaired = body.replace(
+                            /(^|[^\\])\\(?=\s)/g,
+                            '$1\\\\'
+                        );
+                        if (!repaired.includes('\\\\')) {
+                            const lines = repaired
+                                .split('\n')
+                                .filter(line => line.trim());
+                            if (lines.length > 1) {
+                                repaired = `\n${lines.join(' \\\\\n')}\n`;
+                            }
+                        }
+                        return begin + repaired + end;
+                    }
+                ),
+        },
+        {
+            // Set braces: {x \mid x > 0} or A = {1, 2, 3} are sets, not
+            // groups, when they aren't a command's argument
+            name: 'set-braces',
+            apply: latex => {
+                let result = latex;
+                let pos = 0;
+                while ((pos = result.indexOf('{', pos)) !== -1) {
+                    if (
+                        result[pos - 1] === '\\' ||
+                        isArgumentBrace(result, pos) ||
+                        isInFunctionCall(result, pos)
+                    ) {
+                        pos++;
+                        continue;
+                    }
+                    const end = findClosingBrace(result, pos);
+                    if (end === -1) {
+                        break;
+                    }
+                    const inner = result.slice(pos + 1, end);
+                    // Only separators outside nested groups count
+                    const topLevel = inner.replace(/\{[^{}]*\}/g, '');
+                    if (/\\mid\b|[,|:]/.test(topLevel)) {
+                        result = `${result.slice(0, pos)}\\{${inner}\\}${result.slice(end + 1)}`;
+                        pos += 2;
+                    } else {
+                        pos++;
+                    }
+                }
+                return result;
+            },
+        },
+        {
+            // Braces left unbalanced once \{ or \} lost their backslash
+            name: 'unbalanced-braces',
+            apply: latex => {
+                const open = [];
+                const unmatched = [];
+                for (let i = 0; i < latex.length; i++) {
+                    if (latex[i] === '\\') {
+                        i++;
+                    } else if (latex[i] === '{') {
+                        open.push(i);
+                    } else if (latex[i] === '}') {
+                        if (open.length) {
+                            open.pop();
+                        } else {
+                            unmatched.push(i);
+                        }
+                    }
+                }
+                return [...unmatched, ...open]
+                    .sort((a, b) => b - a)
+                    .reduce(
+                        (text, i) => `${text.slice(0, i)}\\${text.slice(i)}`,
+                        latex
+                    );
+            },
+        },
+        {
+            // \, before a differential becomes a plain comma: f(x),dx
+            name: 'thin-space',
+            apply: latex =>
+                /\\i+nt|\\oint/.test(latex)
+                    ? latex.replace(/([^\s,\\]),\s*(d[a-zA-Z]\b)/g, '$1\\,$2')
+                    : latex,
+        },
+        {
+            // \% and \# lose their backslash, and % would comment out the
+            // rest of the expression. #1 is a macro parameter and # inside
+            // \ce{...} a triple bond, so those are left alone.
+            name: 'special-characters',
+            apply: latex => {
+                const chemistry = [];
+                const pattern = /\\ce\s*\{/g;
+                let match;
+                while ((match = pattern.exec(latex))) {
+                    const open = match.index + match[0].length - 1;
+                    const close = findClosingBrace(latex, open);
+                    chemistry.push([open, close === -1 ? latex.length : close]);
+                }
+                return latex.replace(
+                    /(^|[^\\])(%|#(?!\d))/g,
+                    (whole, before, character, offset) => {
+                        const pos = offset + before.length;
+                        return character === '#' &&
+                            chemistry.some(
+                                ([open, close]) => pos > open && pos < close
+                            )
+                            ? whole
+                            : `${before}\\${character}`;
+                    }
+                );
+            },
+        },
+    ];
+
+    function repairLatex(latex) {
+        const repairs = [];
+        let result = latex;
+        LATEX_REPAIRS.forEach(repair => {
+            const repaired = repair.apply(result);
+            if (repaired !== result) {
+                repairs.push(repair.name);
+                result = repaired;
+            }
+        });
+        return { latex: result, repairs };
+    }
+
+    // mhchem arrows, longest first
+    const CE_ARROWS = [
+        ['<=>>', '\\rightleftharpoons'],
+        ['<<=>', '\\rightleftharpoons'],
+        ['<=>', '\\rightleftharpoons'],
+        ['<-->', '\\longleftrightarrow'],
+        ['<->', '\\longleftrightarrow'],
+        ['->', '\\longrightarrow'],
+        ['<-', '\\longleftarrow'],
+    ];
+
+    const CE_STATES = /^\((?:aq|s|l|g|sol|cr|ads)\)/;
+
+    function findClosingBracket(text, pos) {
+        let depth = 0;
+        for (let i = pos; i < text.length; i++) {
+            if (text[i] === '[') {
+                depth++;
+            } else if (text[i] === ']' && --depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // Text over and under an arrow: maths in $...$, words such as "heat" as
+    // text and anything else as a formula
+    function translateArrowLabel(label) {
+        const trimmed = label.trim();
+        if (!trimmed) {
+            return '';
+        }
+        if (/^\$.*\$$/.test(trimmed)) {
+            return trimmed.slice(1, -1);
+        }
+        if (/[a-z]{3,}|\s/.test(trimmed.replace(/\\[a-zA-Z]+/g, ''))) {
+            return `\\text{${trimmed}}`;
+        }
+        return translateCe(trimmed);
+    }
+
+    // \ce{2H2 + O2 -> 2H2O}: formulas, charges, isotopes, states, bonds,
+    // hydrates and reaction arrows with conditions
+    function translateCe(input) {
+        const text = input.trim();
+        let output = '';
+        let pos = 0;
+        // At the start of a species, where digits are a coefficient and a
+        // lone + separates reactants
+        let speciesStart = true;
+
+        while (pos < text.length) {
+            const rest = text.slice(pos);
+            let match;
+
+            if ((match = /^\s+([v^])(?=\s|$)/.exec(rest))) {
+                // Precipitate and gas
+                output += match[1] === 'v' ? ' \\downarrow' : ' \\uparrow';
+                pos += match[0].length;
+                continue;
+            }
+            if ((match = /^\s+/.exec(rest))) {
+                output += ' ';
+                speciesStart = true;
+                pos += match[0].length;
+                continue;
+            }
+            if (rest[0] === '$') {
+                const end = rest.indexOf('$', 1);
+                output += end === -1 ? rest.slice(1) : rest.slice(1, end);
+                pos += end === -1 ? rest.length : end + 1;
+                continue;
+            }
+
+            const arrow = CE_ARROWS.find(([symbol]) => rest.startsWith(symbol));
+            if (arrow) {
+                pos += arrow[0].length;
+                const labels = [];
+                while (labels.length < 2 && text[pos] === '[') {
+                    const end = findClosingBracket(text, pos);
+                    if (end === -1) {
+                        break;
+                    }
+                    labels.push(translateArrowLabel(text.slice(pos + 1, end)));
+                    pos = end + 1;
+                }
+                let symbol = arrow[1];
+                if (labels[0]) {
+                    symbol = `\\overset{${labels[0]}}{${symbol}}`;
+                }
+                if (labels[1]) {
+                    symbol = `\\underset{${labels[1]}}{${symbol}}`;
+                }
+                output += ` ${symbol} `;
+                speciesStart = true;
+                continue;
+            }
+
+            if (speciesStart && rest[0] === '+') {
+                output += ' + ';
+                pos++;
+                continue;
+            }
+            if (
+                speciesStart &&
+                (match =
+                    /^(\d+)\/(\d+)\s*(?=[A-Z([\\^])|^(\d+(?:\.\d+)?)\s*(?=[A-Z([\\^])/.exec(
+                        rest
+                    ))
+            ) {
+                output += match[3]
+                    ? `${match[3]}\\,`
+                    : `\\frac{${match[1]}}{${match[2]}}\\,`;
+                pos += match[0].length;
+                continue;
+            }
+            if (
+                speciesStart &&
+                (match = /^\^\{?(\d+)\}?(?:_\{?(\d+)\}?)?(?=[A-Z])/.exec(rest))
+            ) {
+                // Isotope: ^{227}_{90}Th
+                output += `{}^{${match[1]}}${match[2] ? `_{${match[2]}}` : ''}`;
+                pos += match[0].length;
+                speciesStart = false;
+                continue;
+            }
+            if ((match = CE_STATES.exec(rest))) {
+                output += `\\,\\mathrm{${match[0]}}`;
+                pos += match[0].length;
+                continue;
+            }
+
+            speciesStart = false;
+            if ((match = /^\\[a-zA-Z]+/.exec(rest))) {
+                output += match[0];
+            } else if ((match = /^[A-Za-z]+/.exec(rest))) {
+                output += `\\mathrm{${match[0]}}`;
+            } else if ((match = /^\d+/.exec(rest))) {
+                output += `_{${match[0]}}`;
+            } else if (
+                (match =
+                    /^\^(?:\{([^}]*)\}|([0-9]*[+-]|[0-9]+|[IVX]+|[a-z]))/.exec(
+                        rest
+                    ))
+            ) {
+                output += `^{${match[1] ?? match[2]}}`;
+            } else if ((match = /^_(?:\{([^}]*)\}|(.))/.exec(rest))) {
+                output += `_{${match[1] ?? match[2]}}`;
+            } else if (
+                (match = /^[+-]/.exec(rest)) &&
+                // A charge ends the species, or is followed by its state
+                (/^(?:$|[\s)\]^])/.test(rest.slice(1)) ||
+                    CE_STATES.test(rest.slice(1)))
+            ) {
+                output += `^{${match[0]}}`;
+            } else if ((match = /^[-=#](?=[A-Za-z([])/.exec(rest))) {
+                output += { '-': '{-}', '=': '{=}', '#': '{\\equiv}' }[
+                    match[0]
+                ];
+            } else if ((match = /^[*.](?=[\dA-Z(])/.exec(rest))) {
+                // Hydrates: CuSO4*5H2O
+                output += ' \\cdot ';
+                speciesStart = true;
+            } else {
+                match = [rest[0]];
+                output += rest[0];
+            }
+            pos += match[0].length;
+        }
+
+        return output.replace(/\s+/g, ' ').trim();
+    }
+
+    // \pu{123 kJ/mol}, \pu{1.2e3 m/s2}, \pu{25 °C}
+    function translatePu(input) {
+        const match =
+            /^\s*([-+]?\d[\d.,]*)(?:\s*(?:[eE]|\*10\^|\\times\s*10\^)\{?([-+]?\d+)\}?)?\s*([\s\S]*)$/.exec(
+                input
+            );
+        const number = match
+            ? `${match[1]}${match[2] ? ` \\cdot 10^{${match[2]}}` : ''}`
+            : '';
+        const unit = (match ? match[3] : input).trim();
+        if (!unit) {
+            return number;
+        }
+
+        const units = unit
+            .split(/(\/|\s+|[*.](?=[A-Za-zµΩ°]))/)
+            .filter(part => part && part.trim())
+            .map(part => {
+                if (part === '/') {
+                    return '/';
+                }
+                if (part === '*' || part === '.') {
+                    return '\\cdot ';
+                }
+                const piece = /^(°|%)?([A-Za-zµΩ]*)\^?\{?(-?\d+)?\}?$/.exec(
+                    part
+                );
+                if (!piece) {
+                    return `\\mathrm{${part}}`;
+                }
+                let result = piece[1] === '°' ? '{}^{\\circ}' : '';
+                if (piece[1] === '%') {
+                    result += '\\%';
+                }
+                if (piece[2]) {
+                    result += `\\mathrm{${piece[2]}}`;
+                }
+                return piece[3] ? `${result}^{${piece[3]}}` : result;
+            });
+        // Units written next to each other are separated by a thin space
+        let joined = '';
+        units.forEach((part, index) => {
+            const previous = units[index - 1];
+            const tight =
+                index === 0 ||
+                part === '/' ||
+                previous === '/' ||
+                part === '\\cdot ' ||
+                previous === '\\cdot ';
+            joined += tight ? part : `\\,${part}`;
+        });
+        return number ? `${number}\\,${joined}` : joined;
+    }
+
+    // Replaces every \ce{...} and \pu{...} with plain LaTeX that every
+    // renderer understands
+    function translateChemistry(latex) {
+        const pattern = /\\(ce|pu)\s*\{/g;
+        let output = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(latex))) {
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBrace(latex, open);
+            if (close === -1) {
+                break;
+            }
+            const inner = latex.slice(open + 1, close);
+            const translated =
+                match[1] === 'ce' ? translateCe(inner) : translatePu(inner);
+            output += `${latex.slice(last, match.index)}{${translated}}`;
+            last = close + 1;
+            pattern.lastIndex = last;
+        }
+        return output + latex.slice(last);
+    }
+
+    // The LaTeX inside a match, without its delimiters
+    function extractLatex(match) {
+        if (match.delimiterType === 'environment') {
+            return match.content.trim();
+        }
+        if (match.content.startsWith('$$') && match.content.endsWith('$$')) {
+            return match.content.slice(2, -2).trim();
+        }
+        if (match.content.startsWith('$') && match.content.endsWith('$')) {
+            return match.content.slice(1, -1).trim();
+        }
+        if (match.content.startsWith('\\[') && match.content.endsWith('\\]')) {
+            return match.content.slice(2, -2).trim();
+        }
+        if (match.content.startsWith('\\(') && match.content.endsWith('\\)')) {
+            return match.content.slice(2, -2).trim();
+        }
+        if (match.content.startsWith('[') && match.content.endsWith(']')) {
+            return match.content.slice(1, -1).trim();
+        }
+        if (match.content.startsWith('(') && match.content.endsWith(')')) {
+            return match.content.slice(1, -1).trim();
+        }
+        return '';
+    }
+
+    // Least recently used entries are dropped first: a Map iterates in
+    // insertion order, so hits are moved to the end
+    const renderCache = new Map();
+
+    function renderCached(latex, display) {
+        const key = `${state.renderer.name}\u0000${display ? 1 : 0}\u0000${latex}`;
+        if (renderCache.has(key)) {
+            const entry = renderCache.get(key);
+            renderCache.delete(key);
+            renderCache.set(key, entry);
+            state.stats.cacheHits++;
+            if (entry.error) {
+                throw entry.error;
+            }
+            return entry.rendered;
+        }
+
+        state.stats.cacheMisses++;
+        const started = performance.now();
+        let entry;
+        try {
+            entry = { rendered: state.renderer.render(latex, display) };
+        } catch (error) {
+            entry = { error };
+        }
+        state.stats.expressionsRendered++;
+        state.stats.renderTime += performance.now() - started;
+
+        if (config.cache.size > 0) {
+            renderCache.set(key, entry);
+            while (renderCache.size > config.cache.size) {
+                renderCache.delete(renderCache.keys().next().value);
+            }
+        }
+        if (entry.error) {
+            throw entry.error;
+        }
+        return entry.rendered;
+    }
+
+    function processMathExpression(match, scope) {
+        const container = document.createElement('span');
+        container.className = 'math-container math-processed';
+        if (match.display) {
+            container.setAttribute('data-display', 'block');
+        }
+        if (match.provisional) {
+            container.classList.add('math-provisional');
+        }
+        // Kept so copying gives back the TeX instead of MathML text
+        container.setAttribute('data-source', match.content);
+        container.setAttribute('data-delimiter-type', match.delimiterType);
+
+        let latex = extractLatex(match);
+        container.setAttribute('data-latex', latex || '');
+
+        if (
+            latex &&
+            /\\(?:newcommand|renewcommand|providecommand|def|DeclareMathOperator)/.test(
+                latex
+            )
+        ) {
+            latex = extractMacroDefinitions(latex, scope || new Map()).trim();
+            if (!latex) {
+                // The expression only defined macros, so there is nothing to show
+                container.hidden = true;
+                return container;
+            }
+        }
+
+        if (!latex) {
+            container.textContent = match.content;
+            return container;
+        }
+
+        let rendered;
+        let equation;
+        try {
+            // Before repairs, which would escape the # of a triple bond
+            if (config.chemistry.enabled) {
+                latex = translateChemistry(latex);
+            }
+            if (config.repairs.enabled) {
+                const repaired = repairLatex(latex);
+                if (repaired.repairs.length > 0) {
+                    latex = repaired.latex;
+                    container.setAttribute(
+                        'data-repairs',
+                        repaired.repairs.join(' ')
+                    );
+                    if (config.repairs.log) {
+                        console.debug(
+                            'LaTeXProcessor: repaired',
+                            match.content,
+                            repaired
+                        );
+                    }
+                }
+            }
+            latex = runPreprocessors(latex, {
+                source: match.content,
+                display: !!match.display,
+                delimiterType: match.delimiterType,
+            });
+            latex = expandMacros(latex, scope);
+            equation = prepareEquation(latex, match.display);
+            latex = equation.latex;
+            rendered = renderCached(latex, match.display);
+        } catch (error) {
+            if (match.provisional) {
+                // Half-streamed input is expected to be invalid
+                container.textContent = match.content;
+            } else {
+                renderErrorChip(container, match, latex, error);
+            }
+            return container;
+        }
+
+        if (rendered) {
+            container.innerHTML = rendered;
+        } else {
+            container.textContent = match.content;
+        }
+
+        const numbered = equation.rows.some(
+            row => row.label || row.tag || row.numbered
+        );
+        if (numbered) {
+            container.setAttribute(
+                'data-equation',
+                JSON.stringify(equation.rows)
+            );
+        }
+        if (match.display) {
+            // The body scrolls by itself when the equation is wider than the
+            // message, so the copy button and numbers stay in view
+            const body = document.createElement('span');
+            body.className = 'math-body';
+            body.append(...container.childNodes);
+            container.appendChild(body);
+            if (numbered) {
+                const numbers = document.createElement('span');
+                numbers.className = 'math-equation-numbers';
+                container.appendChild(numbers);
+                container.classList.add('math-numbered');
+            }
+            if (rendered) {
+                displayLatex.set(container, latex);
+                watchOverflow(body);
+            }
+        }
+
+        if (rendered) {
+            addAccessibility(container, latex);
+        }
+
+        return container;
+    }
+
+    function splitTopLevelRows(body) {
+        const rows = [];
+        let depth = 0;
+        let last = 0;
+        for (let i = 0; i < body.length; i++) {
+            if (body.startsWith('\\begin{', i)) {
+                depth++;
+            } else if (body.startsWith('\\end{', i)) {
+                depth--;
+            }
+            if (body[i] === '\\') {
+                if (body[i + 1] === '\\' && depth === 0) {
+                    rows.push(body.slice(last, i));
+                    last = i + 2;
+                }
+                i++;
+            } else if (body[i] === '{') {
+                depth++;
+            } else if (body[i] === '}') {
+                depth--;
+            }
+        }
+        rows.push(body.slice(last));
+        return rows;
+    }
+
+    // Removes \label, \tag, \nonumber and \notag from a row and describes
+    // how the row should be numbered
+    function extractRowNumbering(row, numbered) {
+        const info = { numbered, label: null, tag: null };
+        const text = row
+            .replace(/\\label\s*\{([^}]*)\}/g, (command, label) => {
+                info.label = label.trim();
+                return '';
+            })
+            .replace(/\\tag\*?\s*\{([^}]*)\}/g, (command, tag) => {
+                info.tag = tag.trim();
+                return '';
+            })
+            .replace(/\\(?:nonumber|notag)\b/g, () => {
+                info.numbered = false;
+                return '';
+            });
+        return { text, info };
+    }
+
+    // Rewrites numbered environments into forms every renderer understands
+    // and collects the labels and tags of each numbered row
+    function prepareEquation(latex, display) {
+        const environment = latex.match(
+            /^\\begin\{([a-zA-Z]+)(\*?)\}([\s\S]*)\\end\{\1\2\}$/
+        );
+
+        if (!environment || !(environment[1] in ENVIRONMENT_RENDERING)) {
+            const { text, info } = extractRowNumbering(latex, false);
+            if (!display) {
+                info.tag = null;
+            }
+            return { latex: text.trim(), rows: [info] };
+        }
+
+        const [, name, star] = environment;
+        let body = environment[3];
+        if (name === 'alignat') {
+            body = body.replace(/^\s*\{\d+\}/, '');
+        }
+        if (name === 'eqnarray') {
+            body = body.replace(/&\s*([=<>]|\\[a-zA-Z]+)\s*&/g, '& $1');
+        }
+
+        const numbered = !star && NUMBERED_ENVIRONMENTS.has(name);
+        const rendering = ENVIRONMENT_RENDERING[name];
+        let rows;
+        let rendered;
+
+        if (name === 'equation' || name === 'multline') {
+            // One number for the whole block
+            const { text, info } = extractRowNumbering(body, numbered);
+            rows = [info];
+            rendered = rendering
+                ? `\\begin{${rendering}}${text}\\end{${rendering}}`
+                : text;
+        } else {
+            const parts = splitTopLevelRows(body).map(row =>
+                extractRowNumbering(row, numbered)
+            );
+            // A trailing \\ leaves an empty row that LaTeX doesn't number
+            if (parts.length > 1 && !parts[parts.length - 1].text.trim()) {
+                parts.pop();
+            }
+            rows = parts.map(part => part.info);
+            rendered = `\\begin{${rendering}}${parts
+                .map(part => part.text)
+                .join('\\\\')}\\end{${rendering}}`;
+        }
+
+        return { latex: rendered.trim(), rows };
+    }
+
+    const messageIds = new WeakMap();
+    let nextMessageId = 1;
+
+    function getMessageId(root) {
+        if (!messageIds.has(root)) {
+            messageIds.set(root, nextMessageId++);
+        }
+        return messageIds.get(root);
+    }
+
+    // Numbers equations in document order, so that re-rendering part of a
+    // message never shifts or duplicates numbers, then resolves references
+    function numberEquations(root) {
+        if (!root) {
+            return;
+        }
+
+        const id = getMessageId(root);
+        const labels = new Map();
+        let counter = 0;
+
+        root.querySelectorAll('.math-container[data-equation]').forEach(
+            container => {
+                let rows;
+                try {
+                    rows = JSON.parse(container.getAttribute('data-equation'));
+                } catch {
+                    return;
+                }
+
+                const numbers = container.querySelector(
+                    ':scope > .math-equation-numbers'
+                );
+                if (numbers) {
+                    numbers.textContent = '';
+                }
+
+                rows.forEach(row => {
+                    let number = null;
+                    if (row.tag) {
+                        number = row.tag;
+                    } else if (row.numbered) {
+                        number = String(++counter);
+                    }
+
+                    let anchorId = null;
+                    if (numbers) {
+                        // Unnumbered rows keep an empty slot so the numbers
+                        // line up with their rows
+                        const label = document.createElement('span');
+                        label.className = 'math-equation-number';
+                        if (number !== null) {
+                            anchorId = `latex-eq-${id}-${number.replace(
+                                /[^\w-]/g,
+                                '_'
+                            )}`;
+                            label.id = anchorId;
+                            label.textContent = `(${number})`;
+                        }
+                        numbers.appendChild(label);
+                    }
+                    if (row.label) {
+                        labels.set(row.label, { number, anchorId });
+                    }
+                });
+            }
+        );
+
+        root.querySelectorAll('.math-ref').forEach(ref => {
+            const target = labels.get(ref.getAttribute('data-ref'));
+            const text = target?.number ?? '??';
+            ref.textContent =
+                ref.getAttribute('data-ref-type') === 'eqref'
+                    ? `(${text})`
+                    : text;
+            if (target?.anchorId) {
+                ref.setAttribute('href', `#${target.anchorId}`);
+                ref.classList.remove('math-ref-unresolved');
+            } else {
+                ref.removeAttribute('href');
+                ref.classList.add('math-ref-unresolved');
+            }
+        });
+    }
+
+    // Turns \ref{...} and \eqref{...} in prose into links
+    function appendTextWithReferences(parent, text) {
+        const pattern = /\\(eqref|ref)\s*\{([^}]*)\}/g;
+        let lastPos = 0;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match.index > lastPos) {
+                parent.appendChild(
+                    document.createTextNode(text.slice(lastPos, match.index))
+                );
+            }
+            const ref = document.createElement('a');
+            ref.className = 'math-ref math-ref-unresolved';
+            ref.setAttribute('data-ref', match[2].trim());
+            ref.setAttribute('data-ref-type', match[1]);
+            ref.textContent = match[0];
+            parent.appendChild(ref);
+            lastPos = pattern.lastIndex;
+        }
+        if (lastPos < text.length) {
+            parent.appendChild(document.createTextNode(text.slice(lastPos)));
+        }
+    }
+
+    function handleReferenceClick(event) {
+        const ref = event.target.closest?.('a.math-ref[href]');
+        if (!ref) {
+            return;
+        }
+        // Scroll instead of changing the URL, which the host app routes on
+        event.preventDefault();
+        const target = document.getElementById(
+            ref.getAttribute('href').slice(1)
+        );
+        const container = target?.closest('.math-container') || target;
+        if (container) {
+            container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            container.classList.add('math-highlight');
+            setTimeout(
+                () => container.classList.remove('math-highlight'),
+                1500
+            );
+        }
+    }
+
+    function formatSource(container, format = config.copy.format) {
+        const source = container.getAttribute('data-source') || '';
+        const latex = container.getAttribute('data-latex');
+        if (format === 'original' || !latex) {
+            return source;
+        }
+        if (format === 'unicode') {
+            return toUnicode(latex);
+        }
+
+        const display = container.getAttribute('data-display') === 'block';
+        const environment =
+            container.getAttribute('data-delimiter-type') === 'environment';
+        if (format === 'dollars') {
+            return display ? `$$${latex}$$` : `$${latex}$`;
+        }
+        if (environment) {
+            return latex;
+        }
+        return display ? `\\[${latex}\\]` : `\\(${latex}\\)`;
+    }
+
+    function writeToClipboard(text) {
+        if (navigator.clipboard?.writeText) {
+            return navigator.clipboard.writeText(text);
+        }
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+        return Promise.resolve();
+    }
+
+    function addCopyButton(container) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'math-copy-button';
+        button.title = 'Copy LaTeX';
+        button.setAttribute('aria-label', 'Copy LaTeX');
+        button.textContent = 'TeX';
+        button.addEventListener('click', event => {
+            event.preventDefault();
+            event.stopPropagation();
+            writeToClipboard(formatSource(container)).then(
+                () => {
+                    button.textContent = '✓';
+                    setTimeout(() => (button.textContent = 'TeX'), 1200);
+                },
+                error => console.warn('LaTeXProcessor: copy failed', error)
+            );
+        });
+        container.appendChild(button);
+    }
+
+    // Words used for commands and symbols in spoken descriptions
+    const SPOKEN_WORDS = {
+        '+': 'plus',
+        '-': 'minus',
+        '=': 'equals',
+        '<': 'is less than',
+        '>': 'is greater than',
+        '/': 'divided by',
+        '!': 'factorial',
+        '(': 'open paren',
+        ')': 'close paren',
+        '[': 'open bracket',
+        ']': 'close bracket',
+        '|': 'vertical bar',
+        ',': 'comma',
+        vert: 'vertical bar',
+        lvert: 'vertical bar',
+        rvert: 'vertical bar',
+        // \| as well, so a norm doesn't sound like an absolute value
+        Vert: 'double vertical bar',
+        lVert: 'double vertical bar',
+        rVert: 'double vertical bar',
+        pm: 'plus or minus',
+        mp: 'minus or plus',
+        times: 'times',
+        cdot: 'times',
+        div: 'divided by',
+        le: 'is less than or equal to',
+        leq: 'is less than or equal to',
+        ge: 'is greater than or equal to',
+        geq: 'is greater than or equal to',
+        ne: 'is not equal to',
+        neq: 'is not equal to',
+        approx: 'is approximately equal to',
+        sim: 'is similar to',
+        equiv: 'is equivalent to',
+        propto: 'is proportional to',
+        to: 'tends to',
+        rightarrow: 'tends to',
+        mapsto: 'maps to',
+        Rightarrow: 'implies',
+        implies: 'implies',
+        Leftrightarrow: 'if and only if',
+        iff: 'if and only if',
+        in: 'is in',
+        notin: 'is not in',
+        subset: 'is a subset of',
+        subseteq: 'is a subset of or equal to',
+        cup: 'union',
+        cap: 'intersection',
+        setminus: 'minus',
+        emptyset: 'the empty set',
+        forall: 'for all',
+        exists: 'there exists',
+        neg: 'not',
+        land: 'and',
+        lor: 'or',
+        infty: 'infinity',
+        partial: 'partial',
+        nabla: 'nabla',
+        ldots: 'dot dot dot',
+        cdots: 'dot dot dot',
+        dots: 'dot dot dot',
+        prime: 'prime',
+        circ: 'composed with',
+        degree: 'degrees',
+        langle: 'open angle bracket',
+        rangle: 'close angle bracket',
+        lfloor: 'floor of',
+        rfloor: 'end floor',
+        lceil: 'ceiling of',
+        rceil: 'end ceiling',
+        sum: 'the sum',
+        prod: 'the product',
+        int: 'the integral',
+        iint: 'the double integral',
+        oint: 'the contour integral',
+        lim: 'the limit',
+        sin: 'sine',
+        cos: 'cosine',
+        tan: 'tangent',
+        log: 'log',
+        ln: 'natural log',
+        exp: 'exp',
+        max: 'max',
+        min: 'min',
+        det: 'determinant',
+    };
+
+    // Tokens that start a new term when an equation is explored by keyboard
+    const SPOKEN_OPERATORS = new Set(
+        `
+        + - = < > pm mp times cdot div le leq ge geq ne neq approx sim equiv
+        propto to rightarrow mapsto Rightarrow implies Leftrightarrow iff in
+        notin subset subseteq cup cap
+    `
+            .trim()
+            .split(/\s+/)
+    );
+
+    const BIG_OPERATORS = new Set(['sum', 'prod', 'int', 'iint', 'oint']);
+
+    const MATRIX_ENVIRONMENTS = new Set([
+        'matrix',
+        'pmatrix',
+        'bmatrix',
+        'Bmatrix',
+        'vmatrix',
+        'Vmatrix',
+    ]);
+
+    // Turns LaTeX into a list of spoken terms, e.g. "x^2 + \frac{1}{2}"
+    // gives ['x squared', 'plus 1 over 2']
+    function describeLatexTerms(latex) {
+        let pos = 0;
+
+        const readName = () => {
+            const name = /^[a-zA-Z]+|^./.exec(latex.slice(pos + 1))?.[0] || '';
+            pos += 1 + name.length;
+            return name;
+        };
+
+        const skipSpaces = () => {
+            while (pos < latex.length && /\s/.test(latex[pos])) {
+                pos++;
+            }
+        };
+
+        const readRawGroup = () => {
+            skipSpaces();
+            if (latex[pos] !== '{') {
+                return '';
+            }
+            const end = findClosingBrace(latex, pos);
+            const raw = latex.slice(pos + 1, end === -1 ? undefined : end);
+            pos = end === -1 ? latex.length : end + 1;
+            return raw;
+        };
+
+        const speakArgument = () => {
+            skipSpaces();
+            if (latex[pos] === '{') {
+                return describeLatexTerms(readRawGroup()).join(' ');
+            }
+            return readAtom(false)?.words || '';
+        };
+
+        const isSimple = words => !/\s/.test(words);
+
+        // A single unit of maths, with its sub- and superscripts unless it is
+        // itself a script or argument
+        function readAtom(withScripts = true) {
+            skipSpaces();
+            if (pos >= latex.length) {
+                return null;
+            }
+            const char = latex[pos];
+            let words = '';
+            let name = null;
+
+            if (char === '{') {
+                words = describeLatexTerms(readRawGroup()).join(' ');
+            } else if (char === '\\') {
+                name = readName();
+                if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+                    const numerator = speakArgument();
+                    const denominator = speakArgument();
+                    words =
+                        isSimple(numerator) && isSimple(denominator)
+                            ? `${numerator} over ${denominator}`
+                            : `the fraction ${numerator} over ${denominator}, end fraction`;
+                } else if (name === 'sqrt') {
+                    let index = null;
+                    skipSpaces();
+                    if (latex[pos] === '[') {
+                        const end = latex.indexOf(']', pos);
+                        index = latex.slice(
+                            pos + 1,
+                            end === -1 ? undefined : end
+                        );
+                        pos = end === -1 ? latex.length : end + 1;
+                    }
+                    const radicand = speakArgument();
+                    const root =
+                        index === null
+                            ? 'the square root of'
+                            : index.trim() === '3'
+                              ? 'the cube root of'
+                              : `the ${describeLatexTerms(index).join(' ')}th root of`;
+                    words = isSimple(radicand)
+                        ? `${root} ${radicand}`
+                        : `${root} ${radicand}, end root`;
+                } else if (
+                    /^(?:text|textrm|textit|textbf|mbox|operatorname)$/.test(
+                        name
+                    )
+                ) {
+                    words = readRawGroup().replace(/\\,/g, ' ');
+                } else if (
+                    /^(?:math[a-z]+|boldsymbol|bm|vec|hat|bar|overline|tilde|dot|ddot)$/.test(
+                        name
+                    )
+                ) {
+                    words = speakArgument();
+                    if (name === 'vec') {
+                        words = `vector ${words}`;
+                    } else if (name === 'hat') {
+                        words = `${words} hat`;
+                    } else if (name === 'bar' || name === 'overline') {
+                        words = `${words} bar`;
+                    } else if (name === 'dot') {
+                        words = `${words} dot`;
+                    } else if (name === 'tilde') {
+                        words = `${words} tilde`;
+                    }
+                } else if (name === 'begin' || name === 'end') {
+                    const environment = readRawGroup().replace('*', '');
+                    if (MATRIX_ENVIRONMENTS.has(environment)) {
+                        words = name === 'begin' ? 'matrix' : 'end matrix';
+                    } else if (environment === 'cases') {
+                        words = name === 'begin' ? 'cases' : 'end cases';
+                    }
+                } else if (
+                    /^(?:left|right|big|Big|bigg|Bigg)[lr]?$/.test(name) ||
+                    /^(?:displaystyle|textstyle|quad|qquad|limits|nolimits)$/.test(
+                        name
+                    ) ||
+                    /^[,;:! ]$/.test(name)
+                ) {
+                    words = '';
+                } else if (name === '\\') {
+                    words = 'new line';
+                } else if (GREEK_LETTERS.has(name)) {
+                    const letter = name.replace(/^var/, '');
+                    words = /^[A-Z]/.test(letter)
+                        ? `capital ${letter.toLowerCase()}`
+                        : letter;
+                } else {
+                    words = SPOKEN_WORDS[name === '|' ? 'Vert' : name] ?? name;
+                }
+            } else if (char === '&') {
+                pos++;
+            } else if (/[0-9.]/.test(char)) {
+                const number = /^[0-9]*\.?[0-9]+|^[0-9]+/.exec(
+                    latex.slice(pos)
+                )[0];
+                pos += number.length;
+                words = number;
+            } else {
+                pos++;
+                name = char;
+                words = SPOKEN_WORDS[char] ?? char;
+            }
+
+            // Scripts, with limits read as "from ... to ..."
+            while (withScripts) {
+                skipSpaces();
+                const script = latex[pos];
+                if (script === "'") {
+                    pos++;
+                    words += ' prime';
+                } else if (script === '^' || script === '_') {
+                    pos++;
+                    skipSpaces();
+                    const raw =
+                        latex[pos] === '{'
+                            ? latex.slice(pos + 1, findClosingBrace(latex, pos))
+                            : null;
+                    const spoken = speakArgument();
+                    if (script === '_') {
+                        words += BIG_OPERATORS.has(name)
+                            ? ` from ${spoken}`
+                            : name === 'lim'
+                              ? ` as ${spoken}`
+                              : ` sub ${spoken}`;
+                    } else if (BIG_OPERATORS.has(name)) {
+                        words += ` to ${spoken}`;
+                    } else if (
+                        raw?.trim() === '\\prime' ||
+                        spoken === 'prime'
+                    ) {
+                        words += ' prime';
+                    } else if (spoken === '2') {
+                        words += ' squared';
+                    } else if (spoken === '3') {
+                        words += ' cubed';
+                    } else {
+                        words += isSimple(spoken)
+                            ? ` to the power ${spoken}`
+                            : ` to the power ${spoken}, end power`;
+                    }
+                } else {
+                    break;
+                }
+            }
+
+            return { words, name };
+        }
+
+        // Operators open a new term so each term reads as "plus 1 over 2"
+        const terms = [];
+        let current = [];
+        while (pos < latex.length) {
+            const atom = readAtom();
+            if (!atom) {
+                break;
+            }
+            if (SPOKEN_OPERATORS.has(atom.name) && current.length > 0) {
+                terms.push(current.join(' '));
+                current = [];
+            }
+            if (atom.words) {
+                current.push(atom.words);
+            }
+        }
+        if (current.length > 0) {
+            terms.push(current.join(' '));
+        }
+        return terms
+            .map(term => term.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+    }
+
+    function describeLatex(latex) {
+        return describeLatexTerms(latex || '').join(' ');
+    }
+
+    // Labels a rendered container for screen readers. The visual rendering
+    // is hidden from them in favour of the spoken description, and the
+    // <math> elements get the TeX as alttext.
+    function addAccessibility(container, latex) {
+        const source = container.getAttribute('data-latex');
+        const terms = describeLatexTerms(latex);
+        spokenTerms.set(container, terms);
+        container.setAttribute('role', 'math');
+        container.setAttribute('aria-label', terms.join(' ') || source);
+        if (container.hasAttribute('data-display')) {
+            container.setAttribute('aria-roledescription', 'equation');
+        }
+        container.querySelectorAll('math').forEach(math => {
+            math.setAttribute('alttext', source);
+        });
+        Array.from(container.children).forEach(child => {
+            if (!child.classList.contains('math-equation-numbers')) {
+                child.setAttribute('aria-hidden', 'true');
+            }
+        });
+    }
+
+    // Container -> spoken terms, and the term each one was last explored at
+    const spokenTerms = new WeakMap();
+    const explorePositions = new WeakMap();
+    let liveRegion = null;
+
+    function announce(text) {
+        if (!liveRegion || !liveRegion.isConnected) {
+            liveRegion = document.createElement('div');
+            liveRegion.className = 'math-live-region';
+            liveRegion.setAttribute('aria-live', 'polite');
+            document.body.appendChild(liveRegion);
+        }
+        // Clearing first makes repeated terms get read again
+        liveRegion.textContent = '';
+        setTimeout(() => {
+            liveRegion.textContent = text;
+        }, 50);
+    }
+
+    // Arrow keys step through the terms of a focused equation, Home and End
+    // jump to the ends and Escape reads the whole thing again
+    function handleExploreKeydown(event) {
+        const container = event.target;
+        if (
+            !container.classList?.contains('math-container') ||
+            container.classList.contains('math-error') ||
+            event.altKey ||
+            event.ctrlKey ||
+            event.metaKey
+        ) {
+            return;
+        }
+        const terms = spokenTerms.get(container);
+        if (!terms || terms.length === 0) {
+            return;
+        }
+
+        const current = explorePositions.get(container) ?? -1;
+        let next;
+        if (event.key === 'ArrowRight') {
+            next = Math.min(current + 1, terms.length - 1);
+        } else if (event.key === 'ArrowLeft') {
+            next = Math.max(current - 1, 0);
+        } else if (event.key === 'Home') {
+            next = 0;
+        } else if (event.key === 'End') {
+            next = terms.length - 1;
+        } else if (event.key === 'Escape') {
+            explorePositions.delete(container);
+            announce(terms.join(' '));
+            return;
+        } else {
+            return;
+        }
+        event.preventDefault();
+        explorePositions.set(container, next);
+        announce(terms[next]);
+    }
+
+    function toggleSource(container, show) {
+        if (!container || container.classList.contains('math-error')) {
+            return;
+        }
+        container.classList.toggle('math-show-source', show);
+        container.setAttribute(
+            'aria-pressed',
+            String(container.classList.contains('math-show-source'))
+        );
+    }
+
+    function setAllSourcesVisible(show) {
+        document.documentElement.classList.toggle('latex-show-sources', show);
+        return document.documentElement.classList.contains(
+            'latex-show-sources'
+        );
+    }
+
+    function matchesShortcut(event, shortcut) {
+        if (!shortcut) {
+            return false;
+        }
+        const parts = shortcut.split('+').map(part => part.toLowerCase());
+        const key = parts.pop();
+        return (
+            // event.code keeps working when Alt changes the typed character
+            (event.key?.toLowerCase() === key ||
+                event.code?.toLowerCase() === `key${key}`) &&
+            event.altKey === parts.includes('alt') &&
+            event.shiftKey === parts.includes('shift') &&
+            event.ctrlKey === parts.includes('ctrl') &&
+            event.metaKey === parts.includes('meta')
+        );
+    }
+
+    function handleToggleClick(event) {
+        const trigger = config.toggle.trigger;
+        if (
+            trigger === 'none' ||
+            (trigger === 'dblclick') !== (event.type === 'dblclick') ||
+            (trigger === 'alt-click' && !event.altKey)
+        ) {
+            return;
+        }
+        const container = event.target.closest?.(
+            '.math-processed-wrapper .math-container'
+        );
+        if (
+            !container ||
+            event.target.closest('.math-copy-button, a') ||
+            !document.getSelection()?.isCollapsed
+        ) {
+            return;
+        }
+        toggleSource(container);
+    }
+
+    function handleToggleKeydown(event) {
+        if (matchesShortcut(event, config.toggle.shortcut)) {
+            event.preventDefault();
+            setAllSourcesVisible();
+            return;
+        }
+        const container = event.target.closest?.('.math-container');
+        if (
+            container &&
+            event.target === container &&
+            (event.key === 'Enter' || event.key === ' ')
+        ) {
+            event.preventDefault();
+            toggleSource(container);
+        }
+    }
+
+    const BLOCK_TAGS = new Set([
+        'P',
+        'DIV',
+        'LI',
+        'UL',
+        'OL',
+        'PRE',
+        'BLOCKQUOTE',
+        'TABLE',
+        'TR',
+        'H1',
+        'H2',
+        'H3',
+        'H4',
+        'H5',
+        'H6',
+    ]);
+
+    // Plain text of a copied fragment, with line breaks between blocks
+    function fragmentToText(node) {
+        let text = '';
+        node.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                text += child.textContent;
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                if (child.tagName === 'BR') {
+                    text += '\n';
+                    return;
+                }
+                const block = BLOCK_TAGS.has(child.tagName);
+                if (block && text && !text.endsWith('\n')) {
+                    text += '\n';
+                }
+                text += fragmentToText(child);
+                if (block && !text.endsWith('\n')) {
+                    text += '\n';
+                }
+            }
+        });
+        return text;
+    }
+
+    // Replaces rendered maths in a copied selection with its TeX source
+    function handleCopy(event) {
+        const selection = document.getSelection();
+        if (!selection || selection.isCollapsed || !event.clipboardData) {
+            return;
+        }
+
+        const fragments = [];
+        let touchesMath = false;
+        for (let i = 0; i < selection.rangeCount; i++) {
+            const range = selection.getRangeAt(i);
+            const fragment = range.cloneContents();
+            // A selection inside one equation clones only part of it
+            const enclosing = (
+                range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+                    ? range.commonAncestorContainer
+                    : range.commonAncestorContainer.parentElement
+            )?.closest('.math-container');
+            if (enclosing) {
+                fragment.textContent = '';
+                fragment.appendChild(enclosing.cloneNode(false));
+            }
+            fragments.push(fragment);
+        }
+
+        const holder = document.createElement('div');
+        fragments.forEach(fragment => holder.appendChild(fragment));
+        // Someone reading maths as Unicode text wants the same when pasting
+        // plain text; rich text keeps the TeX
+        const plainFormat =
+            state.renderer?.name === 'unicode' ? 'unicode' : config.copy.format;
+        const plain = holder.cloneNode(true);
+        [
+            [holder, config.copy.format],
+            [plain, plainFormat],
+        ].forEach(([copy, format]) => {
+            copy.querySelectorAll('.math-container').forEach(container => {
+                touchesMath = true;
+                container.replaceWith(
+                    document.createTextNode(formatSource(container, format))
+                );
+            });
+            copy.querySelectorAll('.math-copy-button').forEach(button =>
+                button.remove()
+            );
+        });
+
+        if (!touchesMath) {
+            return;
+        }
+
+        event.clipboardData.setData(
+            'text/plain',
+            fragmentToText(plain).replace(/\n+$/, '')
+        );
+        event.clipboardData.setData('text/html', holder.innerHTML);
+        event.preventDefault();
+    }
+
+    // Paragraph breaks while an export is assembled, collapsed at the end
+    const EXPORT_BREAK = '\u0000';
+
+    const TEX_ESCAPES = {
+        '\\': '\\textbackslash{}',
+        '{': '\\{',
+        '}': '\\}',
+        $: '\\$',
+        '&': '\\&',
+        '%': '\\%',
+        '#': '\\#',
+        _: '\\_',
+        '~': '\\textasciitilde{}',
+        '^': '\\textasciicircum{}',
+        '<': '\\textless{}',
+        '>': '\\textgreater{}',
+        '|': '\\textbar{}',
+    };
+
+    // Non-ASCII that inputenc and T1 fonts handle as it is: Latin letters,
+    // dashes, quotes, ellipsis, bullet, daggers and the euro sign
+    const TEX_SAFE_CHARACTERS =
+        /^[\u00A0-\u017F\u2013\u2014\u2018-\u201E\u2020-\u2022\u2026\u20AC]$/;
+
+    // Other symbols in prose, written as the maths they stand for
+    const TEX_CHARACTERS = new Map();
+    Object.entries(UNICODE_SYMBOLS).forEach(([name, character]) => {
+        if (
+            /^[a-zA-Z]+$/.test(name) &&
+            /[^\x00-\x7F]/.test(character) &&
+            !TEX_CHARACTERS.has(character)
+        ) {
+            TEX_CHARACTERS.set(character, `\\ensuremath{\\${name}}`);
+        }
+    });
+    DOUBLE_STRUCK.forEach((character, letter) => {
+        if (/[A-Z]/.test(letter)) {
+            TEX_CHARACTERS.set(character, `\\ensuremath{\\mathbb{${letter}}}`);
+        }
+    });
+    [
+        [SUPERSCRIPTS, 'textsuperscript'],
+        [SUBSCRIPTS, 'textsubscript'],
+    ].forEach(([characters, command]) =>
+        characters.forEach((character, plain) => {
+            if (!TEX_CHARACTERS.has(character)) {
+                TEX_CHARACTERS.set(character, `\\${command}{${plain}}`);
+            }
+        })
+    );
+
+    // Anything else, such as emoji, would stop pdflatex, so it is spelled
+    // out as its code point
+    function texCharacter(character, prose = true) {
+        if (TEX_SAFE_CHARACTERS.test(character)) {
+            return character;
+        }
+        if (prose && TEX_CHARACTERS.has(character)) {
+            return TEX_CHARACTERS.get(character);
+        }
+        const code = character.codePointAt(0).toString(16).toUpperCase();
+        return `[U+${code.padStart(4, '0')}]`;
+    }
+
+    const TEX_HEADINGS = ['section*', 'subsection*', 'subsubsection*'];
+
+    function exportBlock(text) {
+        return `${EXPORT_BREAK}${text}${EXPORT_BREAK}`;
+    }
+
+    function finishExport(text) {
+        return text
+            .replace(/[ \t]*\u0000[\s\u0000]*/g, '\n\n')
+            .replace(/[ \t]+\n/g, '\n')
+            .trim();
+    }
+
+    function texEnvironment(name, body) {
+        return `\\begin{${name}}\n${body}\n\\end{${name}}`;
+    }
+
+    // How each part of a message is written out in each export format
+    const EXPORT_FORMATS = {
+        tex: {
+            extension: 'tex',
+            type: 'application/x-tex',
+            text: text =>
+                text
+                    .replace(/[\\{}$&%#_~^<>|]/g, c => TEX_ESCAPES[c])
+                    .replace(/[^\x00-\x7F]/gu, c => texCharacter(c)),
+            math: (latex, display, delimiterType) => {
+                if (!display) {
+                    return `\\(${latex}\\)`;
+                }
+                if (delimiterType === 'environment') {
+                    return `\n${latex}\n`;
+                }
+                // Bare rows need align*; anything else, including an
+                // aligned block, is an equation*
+                const rows =
+                    !latex.includes('\\begin{') &&
+                    /\\\\|(^|[^\\])&/.test(latex);
+                const environment = rows ? 'align*' : 'equation*';
+                return `\n${texEnvironment(environment, latex)}\n`;
+            },
+            code: text =>
+                exportBlock(
+                    texEnvironment(
+                        'verbatim',
+                        text
+                            .replace(/\n$/, '')
+                            .replace(/[^\x00-\x7F]/gu, c =>
+                                texCharacter(c, false)
+                            )
+                    )
+                ),
+            inlineCode: text => `\\texttt{${EXPORT_FORMATS.tex.text(text)}}`,
+            heading: (level, text) =>
+                exportBlock(
+                    `\\${TEX_HEADINGS[Math.min(level, 3) - 1]}{${text.trim()}}`
+                ),
+            list: (items, ordered) =>
+                exportBlock(
+                    texEnvironment(
+                        ordered ? 'enumerate' : 'itemize',
+                        items.map(item => `\\item ${item}`).join('\n')
+                    )
+                ),
+            table: rows => {
+                const columns = Math.max(...rows.map(row => row.length));
+                return exportBlock(
+                    `\\begin{tabular}{${'l'.repeat(columns)}}\n${rows
+                        .map(row => `${row.join(' & ')} \\\\`)
+                        .join('\n')}\n\\end{tabular}`
+                );
+            },
+            quote: text => exportBlock(texEnvironment('quote', text)),
+            bold: text => `\\textbf{${text}}`,
+            italic: text => `\\emph{${text}}`,
+            link: text => text,
+            message: (role, text) =>
+                `${exportBlock(`\\section*{${role}}`)}${text}`,
+            document: (body, context) => {
+                const preamble = [
+                    '\\documentclass{article}',
+                    '\\usepackage[utf8]{inputenc}',
+                    '\\usepackage[T1]{fontenc}',
+                    '\\usepackage{amsmath,amssymb}',
+                ];
+                const latex = context.latex.join('\n');
+                if (/\\(?:ce|pu)\s*\{/.test(latex)) {
+                    preamble.push('\\usepackage[version=4]{mhchem}');
+                }
+                // Shorthands the maths relies on, unless LaTeX has them
+                Object.entries(state.userMacros).forEach(([name, macro]) => {
+                    if (!new RegExp(`\\\\${name}(?![a-zA-Z])`).test(latex)) {
+                        return;
+                    }
+                    const {
+                        body: expansion,
+                        args,
+                        defaultArg,
+                    } = normalizeMacro(macro);
+                    const signature =
+                        (args ? `[${args}]` : '') +
+                        (defaultArg !== undefined ? `[${defaultArg}]` : '');
+                    preamble.push(
+                        `\\providecommand{\\${name}}${signature}{${expansion}}`
+                    );
+                });
+                preamble.push(...context.definitions);
+                return `${preamble.join('\n')}\n\n\\begin{document}\n\n${body}\n\n\\end{document}\n`;
+            },
+        },
+        markdown: {
+            extension: 'md',
+            type: 'text/markdown',
+            text: text => text.replace(/[\\`*_$]/g, '\\$&'),
+            math: (latex, display) =>
+                display ? exportBlock(`$$\n${latex}\n$$`) : `$${latex}$`,
+            code: (text, language) =>
+                exportBlock(
+                    `\`\`\`${language}\n${text.replace(/\n$/, '')}\n\`\`\``
+                ),
+            inlineCode: text =>
+                text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``,
+            heading: (level, text) =>
+                exportBlock(`${'#'.repeat(level)} ${text.trim()}`),
+            list: (items, ordered) =>
+                exportBlock(
+                    items
+                        .map(
+                            (item, index) =>
+                                `${ordered ? `${index + 1}.` : '-'} ${item}`
+                        )
+                        .join('\n')
+                ),
+            table: rows => {
+                const columns = Math.max(...rows.map(row => row.length));
+                const line = cells =>
+                    `| ${Array.from({ length: columns }, (_, i) =>
+                        (cells[i] || '').replace(/\|/g, '\\|')
+                    ).join(' | ')} |`;
+                // The first row is the header, as Markdown requires one
+                return exportBlock(
+                    [
+                        line(rows[0]),
+                        line(Array(columns).fill('---')),
+                        ...rows.slice(1).map(line),
+                    ].join('\n')
+                );
+            },
+            quote: text =>
+                exportBlock(
+                    finishExport(text)
+                        .split('\n')
+                        .map(line => `> ${line}`.trimEnd())
+                        .join('\n')
+                ),
+            bold: text => `**${text}**`,
+            italic: text => `*${text}*`,
+            link: (text, href) => (href ? `[${text}](${href})` : text),
+            message: (role, text) => `${exportBlock(`## ${role}`)}${text}`,
+            document: body => `${body}\n`,
+        },
+    };
+
+    // Writes out a message's content, maths from the rendered containers
+    // and any maths still in plain text via findMathDelimiters
+    function exportNode(node, format, context) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return findMathDelimiters(node.textContent.replace(/\s+/g, ' '))
+                .map(segment =>
+                    typeof segment === 'string'
+                        ? format.text(segment)
+                        : exportMath(
+                              extractLatex(segment),
+                              segment.display,
+                              segment.delimiterType,
+                              format,
+                              context
+                          )
+                )
+                .join('');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return '';
+        }
+        if (node.classList.contains('math-container')) {
+            return exportMath(
+                node.getAttribute('data-latex') || '',
+                node.getAttribute('data-display') === 'block',
+                node.getAttribute('data-delimiter-type'),
+                format,
+                context
+            );
+        }
+        if (/^(?:BUTTON|SCRIPT|STYLE|TEXTAREA)$/.test(node.tagName)) {
+            return '';
+        }
+
+        const children = () =>
+            Array.from(node.childNodes)
+                .map(child => exportNode(child, format, context))
+                .join('');
+        const tag = node.tagName;
+
+        if (tag === 'PRE') {
+            const language = (node
+                .querySelector('code')
+                ?.className.match(/language-([\w+-]+)/) || [])[1];
+            return format.code(node.textContent, language || '');
+        }
+        if (tag === 'CODE') {
+            return format.inlineCode(node.textContent);
+        }
+        if (/^H[1-6]$/.test(tag)) {
+            return format.heading(Number(tag[1]), children());
+        }
+        if (tag === 'UL' || tag === 'OL') {
+            const items = Array.from(node.children)
+                .filter(child => child.tagName === 'LI')
+                .map(item =>
+                    finishExport(exportNode(item, format, context)).replace(
+                        /\n\n/g,
+                        '\n'
+                    )
+                );
+            return format.list(items, tag === 'OL');
+        }
+        if (tag === 'TABLE') {
+            const rows = Array.from(node.querySelectorAll('tr'))
+                .filter(row => row.closest('table') === node)
+                .map(row =>
+                    Array.from(row.children)
+                        .filter(cell => /^T[DH]$/.test(cell.tagName))
+                        .map(cell =>
+                            finishExport(
+                                exportNode(cell, format, context)
+                            ).replace(/\s*\n\s*/g, ' ')
+                        )
+                );
+            return rows.length ? format.table(rows) : '';
+        }
+        if (tag === 'BLOCKQUOTE') {
+            return format.quote(children());
+        }
+        if (tag === 'STRONG' || tag === 'B') {
+            return format.bold(children());
+        }
+        if (tag === 'EM' || tag === 'I') {
+            return format.italic(children());
+        }
+        if (tag === 'A') {
+            return format.link(children(), node.getAttribute('href'));
+        }
+        if (tag === 'BR') {
+            return EXPORT_BREAK;
+        }
+        if (/^(?:P|DIV|LI|SECTION|ARTICLE|HR)$/.test(tag)) {
+            return exportBlock(children());
+        }
+        return children();
+    }
+
+    function exportMath(latex, display, delimiterType, format, context) {
+        // Definitions are taken out first, as rendering does, so repairs
+        // don't escape their #1 parameters
+        const definitions = [];
+        const body = latex
+            ? extractMacroDefinitions(latex, new Map(), definitions).trim()
+            : '';
+        const repaired =
+            body && config.repairs.enabled ? repairLatex(body).latex : body;
+        context.latex.push(...definitions, repaired);
+        // Definitions only make sense in the preamble of a document
+        if (format === EXPORT_FORMATS.tex) {
+            context.definitions.push(...definitions);
+        } else if (definitions.length) {
+            return format.math(
+                [...definitions, repaired].join(' ').trim(),
+                display,
+                delimiterType
+            );
+        }
+        return repaired ? format.math(repaired, display, delimiterType) : '';
+    }
+
+    // The outermost message around element
+    function findMessage(element) {
+        let message = null;
+        for (
+            let current = element;
+            current && current.nodeType === Node.ELEMENT_NODE;
+            current = current.parentElement
+        ) {
+            if (isInScope(current)) {
+                message = current;
+            }
+        }
+        return message;
+    }
+
+    // A message (the one around target) or the whole conversation as a
+    // standalone document
+    function exportDocument(target, formatName = 'tex') {
+        const format = EXPORT_FORMATS[formatName];
+        if (!format) {
+            throw new Error(`Unknown export format: ${formatName}`);
+        }
+        const messages = target
+            ? [findMessage(target)].filter(Boolean)
+            : getScopeRoots(document.body);
+        const context = { latex: [], definitions: [] };
+        const body = messages
+            .map(message => {
+                const content = exportNode(message, format, context);
+                if (messages.length === 1) {
+                    return content;
+                }
+                const role = message.closest('[data-element-id="user-message"]')
+                    ? 'User'
+                    : 'Assistant';
+                return format.message(role, content);
+            })
+            .join(EXPORT_BREAK);
+        return format.document(finishExport(body), context);
+    }
+
+    // Saves the export as a file; nothing leaves the browser
+    function downloadDocument(target, formatName = 'tex') {
+        const text = exportDocument(target, formatName);
+        const format = EXPORT_FORMATS[formatName];
+        const name =
+            document.title
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-|-$/g, '') || 'conversation';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(
+            new Blob([text], { type: format.type })
+        );
+        link.download = `${name}.${format.extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        return text;
+    }
+
+    function getErrorMessage(error) {
+        const message = (error && error.message) || String(error);
+        // TeXZilla lists every token it would have accepted, which is far
+        // too long for a tooltip
+        return message
+            .replace(/Expecting [^\n]{80,}, got ('[^']*')/, 'Unexpected $1')
+            .trim();
+    }
+
+    // Keeps the original source visible and puts the parser message on hover
+    function renderErrorChip(container, match, latex, error) {
+        const message = getErrorMessage(error);
+        container.classList.add('math-error');
+        container.textContent = match.content;
+        container.title = message;
+        container.setAttribute('data-error', message);
+        if (match.preview) {
+            // Half-typed input isn't worth reporting
+            return;
+        }
+
+        state.errors.push({
+            source: match.content,
+            latex,
+            message,
+            renderer: state.renderer?.name || null,
+            element: container,
+            time: Date.now(),
+        });
+        if (state.errors.length > MAX_RECORDED_ERRORS) {
+            state.errors.shift();
+        }
+    }
+
+    function isPreviewInput(element) {
+        return !!element?.matches?.(config.preview.inputSelector);
+    }
+
+    function createPreviewPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'latex-preview';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', 'LaTeX preview');
+        panel.hidden = true;
+
+        const header = document.createElement('div');
+        header.className = 'latex-preview-header';
+        const title = document.createElement('span');
+        title.className = 'latex-preview-title';
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'latex-preview-close';
+        close.textContent = '×';
+        close.title = `Hide preview (${config.preview.shortcut})`;
+        close.setAttribute('aria-label', 'Hide preview');
+        // Keep the focus (and caret) in the textarea
+        close.addEventListener('mousedown', event => event.preventDefault());
+        close.addEventListener('click', () => setPreviewEnabled(false));
+        header.append(title, close);
+
+        const body = document.createElement('div');
+        body.className = 'latex-preview-body';
+        panel.append(header, body);
+        document.body.appendChild(panel);
+        return panel;
+    }
+
+    // The panel floats above the input instead of living inside it, so
+    // TypingMind's own markup is never touched
+    function positionPreview() {
+        const { input, panel } = state.preview;
+        if (!input || !panel || panel.hidden) {
+            return;
+        }
+        const rect = input.getBoundingClientRect();
+        panel.style.left = `${rect.left}px`;
+        panel.style.width = `${rect.width}px`;
+        panel.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+    }
+
+    function hidePreview() {
+        const preview = state.preview;
+        if (preview.panel) {
+            preview.panel.hidden = true;
+        }
+        preview.text = null;
+        clearInterval(preview.poll);
+        preview.poll = null;
+    }
+
+    function updatePreview() {
+        const preview = state.preview;
+        const input = preview.input;
+        const text = input?.isConnected ? input.value : '';
+        if (text === preview.text) {
+            return;
+        }
+
+        const segments = config.preview.enabled ? findMathDelimiters(text) : [];
+        if (
+            !state.renderer ||
+            !segments.some(segment => typeof segment !== 'string')
+        ) {
+            hidePreview();
+            return;
+        }
+
+        preview.panel = preview.panel?.isConnected
+            ? preview.panel
+            : createPreviewPanel();
+        const body = preview.panel.querySelector('.latex-preview-body');
+        body.textContent = '';
+        segments.forEach(segment => {
+            if (typeof segment === 'string') {
+                body.appendChild(document.createTextNode(segment));
+            } else {
+                body.appendChild(
+                    processMathExpression(
+                        { ...segment, preview: true },
+                        new Map()
+                    )
+                );
+            }
+        });
+
+        const errors = body.querySelectorAll('.math-error').length;
+        preview.panel.querySelector('.latex-preview-title').textContent =
+            errors > 0
+                ? `LaTeX preview · ${errors} error${errors > 1 ? 's' : ''}`
+                : 'LaTeX preview';
+        preview.panel.classList.toggle('latex-preview-has-errors', errors > 0);
+        preview.panel.hidden = false;
+        preview.text = text;
+        positionPreview();
+
+        // TypingMind clears the input after sending without an input event
+        if (!preview.poll) {
+            preview.poll = setInterval(updatePreview, 500);
+        }
+    }
+
+    function handlePreviewInput(event) {
+        if (!config.preview.enabled || !isPreviewInput(event.target)) {
+            return;
+        }
+        const preview = state.preview;
+        preview.input = event.target;
+        clearTimeout(preview.timer);
+        preview.timer = setTimeout(updatePreview, config.preview.delay);
+    }
+
+    function handlePreviewKeydown(event) {
+        if (matchesShortcut(event, config.preview.shortcut)) {
+            event.preventDefault();
+            setPreviewEnabled(!config.preview.enabled);
+        }
+    }
+
+    function setPreviewEnabled(enabled) {
+        config.preview.enabled = enabled;
+        const preview = state.preview;
+        if (!enabled) {
+            clearTimeout(preview.timer);
+            hidePreview();
+            return;
+        }
+        if (!preview.input && isPreviewInput(document.activeElement)) {
+            preview.input = document.activeElement;
+        }
+        updatePreview();
+    }
+
+    function cloneConfig(value) {
+        return value === undefined
+            ? undefined
+            : JSON.parse(JSON.stringify(value));
+    }
+
+    function loadSettings() {
+        if (typeof localStorage === 'undefined') {
+            return {};
+        }
+        try {
+            const stored = localStorage.getItem(config.settings.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('LaTeXProcessor: could not read settings', error);
+            return {};
+        }
+    }
+
+    function saveSettings() {
+        try {
+            if (Object.keys(state.settings).length > 0) {
+                localStorage.setItem(
+                    config.settings.storageKey,
+                    JSON.stringify(state.settings)
+                );
+            } else {
+                localStorage.removeItem(config.settings.storageKey);
+            }
+        } catch (error) {
+            console.warn('LaTeXProcessor: could not store settings', error);
+        }
+    }
+
+    // Brings the page in line with config after it changed: styling, the
+    // preview, the renderer, and everything rendered so far
+    // Settings that only change CSS, so the maths needn't be rendered again
+    const STYLE_SETTINGS = ['scale', 'font', 'theme'];
+
+    function renderingConfig(options) {
+        const copy = cloneConfig(options);
+        STYLE_SETTINGS.forEach(key => delete copy.style[key]);
+        delete copy.preview;
+        return JSON.stringify(copy);
+    }
+
+    async function applyConfig(before) {
+        applyStyle();
+        if (config.preview.enabled !== before.preview.enabled) {
+            setPreviewEnabled(config.preview.enabled);
+        }
+        if (renderingConfig(config) === renderingConfig(before)) {
+            return;
+        }
+        if (
+            JSON.stringify(config.renderer) !== JSON.stringify(before.renderer)
+        ) {
+            try {
+                await loadRenderer();
+            } catch (error) {
+                // Keep going with the renderer we had
+                console.error('LaTeXProcessor:', error);
+            }
+        }
+        renderCache.clear();
+        if (JSON.stringify(config.scope) !== JSON.stringify(before.scope)) {
+            revertOutOfScope();
+        }
+        if (!state.paused && state.renderer) {
+            document
+                .querySelectorAll('.math-processed-wrapper')
+                .forEach(unwrap);
+            processMath();
+        }
+    }
+
+    // Changes settings on the running processor and re-renders. Unless
+    // persist is false the change is also saved for future visits.
+    async function configure(options, persist = true) {
+        const before = cloneConfig(config);
+        mergeConfig(config, cloneConfig(options));
+        if (persist) {
+            mergeConfig(state.settings, cloneConfig(options));
+            saveSettings();
+        }
+        await applyConfig(before);
+    }
+
+    async function resetSettings() {
+        const before = cloneConfig(config);
+        Object.keys(DEFAULT_CONFIG).forEach(key => {
+            config[key] = cloneConfig(DEFAULT_CONFIG[key]);
+        });
+        state.settings = {};
+        saveSettings();
+        await applyConfig(before);
+    }
+
+    const DETECTION_OPTIONS = [
+        ['permissive', 'Always'],
+        ['lenient', 'Lenient'],
+        ['strict', 'Strict'],
+        ['off', 'Never'],
+    ];
+
+    // What the settings panel offers. Fields are read from and written to
+    // config at `path` unless they bring their own get/set.
+    const SETTINGS_FIELDS = [
+        {
+            group: 'Delimiters',
+            path: 'delimiters.displayDollars',
+            label: '$$...$$',
+            type: 'checkbox',
+        },
+        {
+            group: 'Delimiters',
+            path: 'inlineDollars',
+            label: '$...$',
+            type: 'select',
+            options: [
+                ['smart', 'Smart (skips prices)'],
+                ['pandoc', 'Pandoc rules'],
+                ['always', 'Any pair'],
+                ['off', 'Off'],
+            ],
+        },
+        {
+            group: 'Delimiters',
+            path: 'delimiters.escapedDisplay',
+            label: '\\[...\\]',
+            type: 'checkbox',
+        },
+        {
+            group: 'Delimiters',
+            path: 'delimiters.escapedInline',
+            label: '\\(...\\)',
+            type: 'checkbox',
+        },
+        {
+            group: 'Delimiters',
+            path: 'delimiters.environments',
+            label: '\\begin{...} on its own',
+            type: 'checkbox',
+        },
+        {
+            group: 'Delimiters',
+            path: 'delimiters.brackets',
+            label: 'Bare [...]',
+            type: 'checkbox',
+        },
+        {
+            group: 'Delimiters',
+            path: 'delimiters.parens',
+            label: 'Bare (...)',
+            type: 'checkbox',
+        },
+        {
+            group: 'Detection',
+            path: 'detection.policies.brackets',
+            label: 'Bare [...] and (...)',
+            type: 'select',
+            options: DETECTION_OPTIONS,
+        },
+        {
+            group: 'Detection',
+            path: 'detection.policies.dollars',
+            label: 'Dollars',
+            type: 'select',
+            options: DETECTION_OPTIONS,
+        },
+        {
+            group: 'Detection',
+            path: 'detection.policies.escaped',
+            label: '\\[...\\] and \\(...\\)',
+            type: 'select',
+            options: DETECTION_OPTIONS,
+        },
+        {
+            group: 'Detection',
+            path: 'detection.threshold',
+            label: 'Strict threshold',
+            type: 'number',
+            step: 0.5,
+        },
+        {
+            group: 'Detection',
+            path: 'detection.skipJson',
+            label: 'Skip text that looks like JSON',
+            type: 'checkbox',
+        },
+        {
+            group: 'Detection',
+            path: 'repairs.enabled',
+            label: 'Repair escapes Markdown removed',
+            type: 'checkbox',
+        },
+        {
+            group: 'Detection',
+            path: 'chemistry.enabled',
+            label: 'Chemistry (\\ce and \\pu)',
+            type: 'checkbox',
+        },
+        {
+            group: 'Rendering',
+            label: 'Renderer',
+            type: 'select',
+            options: () => Object.keys(RENDERERS).map(name => [name, name]),
+            get: () => state.renderer?.name || config.renderer.order[0],
+            set: name => ({
+                renderer: {
+                    order: [
+                        name,
+                        ...config.renderer.order.filter(
+                            other => other !== name
+                        ),
+                    ],
+                },
+            }),
+        },
+        {
+            group: 'Rendering',
+            path: 'renderer.unicodeFallback',
+            label: 'Unicode text when MathML is unsupported',
+            type: 'checkbox',
+        },
+        {
+            group: 'Rendering',
+            path: 'renderer.backends.texzilla.url',
+            label: 'TeXZilla URL',
+            type: 'text',
+        },
+        {
+            group: 'Rendering',
+            path: 'style.scale',
+            label: 'Size',
+            type: 'number',
+            step: 0.05,
+        },
+        {
+            group: 'Rendering',
+            path: 'style.theme',
+            label: 'Theme',
+            type: 'select',
+            options: [
+                ['auto', 'Follow TypingMind'],
+                ['light', 'Light'],
+                ['dark', 'Dark'],
+            ],
+        },
+        {
+            group: 'Rendering',
+            path: 'style.overflow',
+            label: 'Wide equations',
+            type: 'select',
+            options: [
+                ['scroll', 'Scroll'],
+                ['wrap', 'Wrap at relations'],
+            ],
+        },
+        {
+            group: 'Rendering',
+            path: 'streaming.mode',
+            label: 'While streaming',
+            type: 'select',
+            options: [
+                ['defer', 'Wait until done'],
+                ['provisional', 'Render as it arrives'],
+                ['off', 'Render every change'],
+            ],
+        },
+        {
+            group: 'Rendering',
+            path: 'preview.enabled',
+            label: 'Preview while typing',
+            type: 'checkbox',
+        },
+        {
+            group: 'Rendering',
+            path: 'copy.format',
+            label: 'Copy as',
+            type: 'select',
+            options: [
+                ['original', 'Original delimiters'],
+                ['dollars', '$...$ / $$...$$'],
+                ['parens', '\\(...\\) / \\[...\\]'],
+                ['unicode', 'Unicode text'],
+            ],
+        },
+        {
+            group: 'Rendering',
+            path: 'toggle.trigger',
+            label: 'Show source on',
+            type: 'select',
+            options: [
+                ['click', 'Click'],
+                ['dblclick', 'Double click'],
+                ['alt-click', 'Alt+click'],
+                ['none', 'Never'],
+            ],
+        },
+    ];
+
+    function getPath(object, path) {
+        return path
+            .split('.')
+            .reduce(
+                (value, key) => (value == null ? value : value[key]),
+                object
+            );
+    }
+
+    // { 'a.b': 1 } as { a: { b: 1 } }
+    function patchFor(path, value) {
+        return path
+            .split('.')
+            .reverse()
+            .reduce((patch, key) => ({ [key]: patch }), value);
+    }
+
+    function readField(field) {
+        return field.get ? field.get() : getPath(config, field.path);
+    }
+
+    function createSettingsField(field, index) {
+        const row = document.createElement('label');
+        row.className = 'latex-settings-field';
+        const label = document.createElement('span');
+        label.textContent = field.label;
+
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            const options =
+                typeof field.options === 'function'
+                    ? field.options()
+                    : field.options;
+            options.forEach(([value, text]) => {
+                input.appendChild(new Option(text, value));
+            });
+            input.value = readField(field);
+        } else {
+            input = document.createElement('input');
+            input.type = field.type;
+            if (field.type === 'checkbox') {
+                input.checked = !!readField(field);
+            } else {
+                input.value = readField(field) ?? '';
+                if (field.step) {
+                    input.step = field.step;
+                }
+            }
+        }
+        input.id = `latex-setting-${index}`;
+
+        input.addEventListener('change', () => {
+            let value = input.value;
+            if (field.type === 'checkbox') {
+                value = input.checked;
+            } else if (field.type === 'number') {
+                value = parseFloat(value);
+                if (Number.isNaN(value)) {
+                    return;
+                }
+            }
+            configure(
+                field.set ? field.set(value) : patchFor(field.path, value)
+            );
+        });
+
+        if (field.type === 'checkbox') {
+            row.append(input, label);
+        } else {
+            row.append(label, input);
+        }
+        return row;
+    }
+
+    function closeSettings() {
+        state.settingsPanel?.remove();
+        state.settingsPanel = null;
+    }
+
+    function openSettings() {
+        closeSettings();
+        const panel = document.createElement('div');
+        panel.className = 'latex-settings';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'LaTeX settings');
+
+        const header = document.createElement('div');
+        header.className = 'latex-settings-header';
+        const title = document.createElement('strong');
+        title.textContent = 'LaTeX settings';
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = '×';
+        close.setAttribute('aria-label', 'Close');
+        close.addEventListener('click', closeSettings);
+        header.append(title, close);
+        panel.appendChild(header);
+
+        const groups = new Map();
+        SETTINGS_FIELDS.forEach((field, index) => {
+            if (!groups.has(field.group)) {
+                const fieldset = document.createElement('fieldset');
+                const legend = document.createElement('legend');
+                legend.textContent = field.group;
+                fieldset.appendChild(legend);
+                groups.set(field.group, fieldset);
+                panel.appendChild(fieldset);
+            }
+            groups
+                .get(field.group)
+                .appendChild(createSettingsField(field, index));
+        });
+
+        const exports = document.createElement('fieldset');
+        const exportsLegend = document.createElement('legend');
+        exportsLegend.textContent = 'Export conversation';
+        const exportRow = document.createElement('div');
+        exportRow.className = 'latex-settings-field';
+        [
+            ['tex', 'LaTeX (.tex)'],
+            ['markdown', 'Markdown (.md)'],
+        ].forEach(([format, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', () =>
+                downloadDocument(null, format)
+            );
+            exportRow.appendChild(button);
+        });
+        exports.append(exportsLegend, exportRow);
+        panel.appendChild(exports);
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'latex-settings-reset';
+        reset.textContent = 'Reset to defaults';
+        reset.addEventListener('click', async () => {
+            await resetSettings();
+            openSettings();
+        });
+        panel.appendChild(reset);
+
+        document.body.appendChild(panel);
+        state.settingsPanel = panel;
+        panel.querySelector('select, input')?.focus();
+    }
+
+    function toggleSettings() {
+        if (state.settingsPanel) {
+            closeSettings();
+        } else {
+            openSettings();
+        }
+    }
+
+    function addSettingsButton() {
+        if (!config.settings.button) {
+            return;
+        }
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'latex-settings-button';
+        button.textContent = '∑';
+        button.title = `LaTeX settings (${config.settings.shortcut})`;
+        button.setAttribute('aria-label', 'LaTeX settings');
+        button.addEventListener('click', toggleSettings);
+        document.body.appendChild(button);
+    }
+
+    function handleSettingsKeydown(event) {
+        if (matchesShortcut(event, config.settings.shortcut)) {
+            event.preventDefault();
+            toggleSettings();
+        } else if (event.key === 'Escape' && state.settingsPanel) {
+            closeSettings();
+        }
+    }
+
+    // Extension points for other extensions, see LaTeXProcessor.add*()
+    const hooks = {
+        preprocessors: [],
+        postprocessors: [],
+        filters: [],
+        skipListeners: [],
+    };
+
+    function addHook(list, hook) {
+        if (typeof hook !== 'function') {
+            throw new TypeError('LaTeXProcessor: hooks must be functions');
+        }
+        list.push(hook);
+        return () => {
+            const index = list.indexOf(hook);
+            if (index !== -1) {
+                list.splice(index, 1);
             }
+        };
+    }
+
+    // A failing hook is reported and otherwise ignored
+    function runHook(hook, ...args) {
+        try {
+            return hook(...args);
+        } catch (error) {
+            console.error('LaTeXProcessor: hook failed', error);
+            return undefined;
         }
+    }
 
-        // Handle unescaped brackets that should be LaTeX
-        if (text[startPos] === '[') {
-            const endPos = findMatchingBracket('[', ']', startPos);
-            if (endPos !== -1) {
-                const content = text.slice(startPos + 1, endPos);
-                // Don't process as LaTeX if it contains dollar expressions
-                if (containsDollarExpression(content)) {
-                    return null;
+    function runPreprocessors(latex, context) {
+        return hooks.preprocessors.reduce((current, preprocessor) => {
+            const result = runHook(preprocessor, current, context);
+            return typeof result === 'string' ? result : current;
+        }, latex);
+    }
+
+    function emit(target, type, detail) {
+        target?.dispatchEvent(
+            new CustomEvent(`latex:${type}`, { bubbles: true, detail })
+        );
+    }
+
+    // Text node -> the skips already reported for it. Streaming rescans
+    // the same text many times and listeners should hear of each once.
+    const reportedSkips = new WeakMap();
+
+    // Target -> its latex:skipped listeners. Skips are only worked out and
+    // dispatched while something listens for them.
+    const skipEventListeners = new WeakMap();
+    let skipEventListenerCount = 0;
+
+    function watchSkipListeners() {
+        const { addEventListener, removeEventListener } = EventTarget.prototype;
+        EventTarget.prototype.addEventListener = function (
+            type,
+            listener,
+            ...rest
+        ) {
+            if (type === 'latex:skipped' && listener) {
+                if (!skipEventListeners.has(this)) {
+                    skipEventListeners.set(this, new Set());
                 }
-                if (isLikelyLatex(content)) {
-                    return {
-                        start: startPos,
-                        end: endPos + 1,
-                        delimiter: DELIMITERS.DISPLAY_BRACKETS,
-                        type: 'brackets',
-                    };
+                const listeners = skipEventListeners.get(this);
+                if (!listeners.has(listener)) {
+                    listeners.add(listener);
+                    skipEventListenerCount++;
                 }
             }
+            return addEventListener.call(this, type, listener, ...rest);
+        };
+        EventTarget.prototype.removeEventListener = function (
+            type,
+            listener,
+            ...rest
+        ) {
+            if (
+                type === 'latex:skipped' &&
+                skipEventListeners.get(this)?.delete(listener)
+            ) {
+                skipEventListenerCount--;
+            }
+            return removeEventListener.call(this, type, listener, ...rest);
+        };
+    }
+
+    function isListeningForSkips() {
+        return hooks.skipListeners.length > 0 || skipEventListenerCount > 0;
+    }
+
+    function emitSkipped(node, detail) {
+        if (!isListeningForSkips()) {
+            return;
+        }
+        const key = `${detail.rule}\u0000${detail.source}`;
+        if (!reportedSkips.has(node)) {
+            reportedSkips.set(node, new Set());
         }
+        const reported = reportedSkips.get(node);
+        if (!reported.has(key)) {
+            reported.add(key);
+            hooks.skipListeners.forEach(listener => runHook(listener, detail));
+            emit(detail.element, 'skipped', detail);
+        }
+    }
 
-        // Handle unescaped parentheses that should be LaTeX
-        if (text[startPos] === '(') {
-            const endPos = findMatchingBracket('(', ')', startPos);
-            if (endPos !== -1) {
-                const content = text.slice(startPos + 1, endPos);
-                // Don't process as LaTeX if it contains dollar expressions
-                if (containsDollarExpression(content)) {
-                    return null;
-                }
-                if (isLikelyLatex(content)) {
-                    return {
-                        start: startPos,
-                        end: endPos + 1,
-                        delimiter: DELIMITERS.INLINE_PARENS,
-                        type: 'brackets',
-                    };
+    // Any filter returning false for one of the text nodes keeps them all
+    // from being processed
+    function isVetoed(nodes) {
+        const vetoed = nodes.find(node =>
+            hooks.filters.some(filter => runHook(filter, node) === false)
+        );
+        if (vetoed) {
+            emitSkipped(vetoed, {
+                source: vetoed.data,
+                rule: 'filter',
+                element: vetoed.parentElement,
+            });
+        }
+        return !!vetoed;
+    }
+
+    // Reports the candidates the parser looked at and turned down
+    function reportSkipped(node, text, trace) {
+        if (!trace) {
+            return;
+        }
+        const target = node.parentElement;
+        trace
+            .filter(
+                candidate =>
+                    !candidate.accepted &&
+                    candidate.end !== null &&
+                    candidate.rule !== 'disabled'
+            )
+            .forEach(candidate => {
+                emitSkipped(node, {
+                    source: text.slice(candidate.start, candidate.end),
+                    branch: candidate.branch,
+                    rule: candidate.rule,
+                    element: target,
+                });
+            });
+    }
+
+    // Runs the postprocessors on each new container once it is in the page
+    // and tells listeners about it
+    function announceContainers(wrapper) {
+        wrapper.querySelectorAll('.math-container').forEach(container => {
+            if (container.hidden) {
+                return;
+            }
+            const detail = {
+                source: container.getAttribute('data-source'),
+                latex: container.getAttribute('data-latex'),
+                display: container.hasAttribute('data-display'),
+                delimiterType: container.getAttribute('data-delimiter-type'),
+                provisional: container.classList.contains('math-provisional'),
+                error: container.getAttribute('data-error'),
+                element: container,
+            };
+            hooks.postprocessors.forEach(postprocessor =>
+                runHook(postprocessor, container, detail)
+            );
+            if (detail.error) {
+                emit(container, 'error', detail);
+            } else {
+                emit(container, 'rendered', {
+                    ...detail,
+                    renderer: state.renderer?.name || null,
+                });
+            }
+        });
+    }
+
+    function processNode(node, options = {}) {
+        const started = performance.now();
+        try {
+            scanNode(node, options);
+        } finally {
+            state.stats.processTime += performance.now() - started;
+        }
+    }
+
+    function scanNode(node, options) {
+        if (
+            !node ||
+            node.nodeType !== Node.TEXT_NODE ||
+            !node.isConnected ||
+            node.parentElement?.closest('.math-processed-wrapper') ||
+            isInCodeBlock(node)
+        ) {
+            return;
+        }
+        state.stats.nodesScanned++;
+
+        // Emphasis that turns out not to be part of any maths is left in
+        // place and the surrounding text collected again without it
+        const excluded = new Set();
+        let nodes;
+        let text;
+        let segments;
+        let trace;
+        for (;;) {
+            ({ nodes, text } = getAdjacentTextNodes(node, excluded));
+
+            let hasDelimiter = false;
+            if (
+                text.includes('$') ||
+                text.includes('\\[') ||
+                text.includes('\\(') ||
+                text.includes('\\begin{') ||
+                /\\(?:eq)?ref\s*\{/.test(text) ||
+                /\[[^\]]*[_^{}\\]/.test(text) ||
+                /\([^)]*[_^{}\\]/.test(text)
+            ) {
+                hasDelimiter = true;
+            }
+
+            if (!hasDelimiter) {
+                return;
+            }
+
+            trace = isListeningForSkips() ? [] : undefined;
+            segments = findMathDelimiters(text, { ...options, trace });
+            const stray = findStrayFormatting(nodes, segments);
+            if (stray.length === 0) {
+                break;
+            }
+            stray.forEach(element => excluded.add(element));
+        }
+
+        if (
+            isVetoed(
+                nodes
+                    .filter(entry => entry.type === 'text')
+                    .map(entry => entry.node)
+            )
+        ) {
+            return;
+        }
+        reportSkipped(node, text, trace);
+
+        if (
+            segments.length === 1 &&
+            typeof segments[0] === 'string' &&
+            !/\\(?:eq)?ref\s*\{/.test(segments[0])
+        ) {
+            return;
+        }
+
+        const scope = getMacroScope(node);
+        splitIntoRuns(nodes, text, segments).forEach(run => {
+            const hasOutput = run.segments.some(
+                segment =>
+                    typeof segment !== 'string' ||
+                    /\\(?:eq)?ref\s*\{/.test(segment)
+            );
+            if (!hasOutput) {
+                // Definitions written outside maths still apply to it
+                run.segments.forEach(segment =>
+                    extractMacroDefinitions(segment, scope)
+                );
+                return;
+            }
+
+            const wrapper = document.createElement('span');
+            wrapper.className = 'math-processed-wrapper';
+
+            run.segments.forEach(segment => {
+                if (typeof segment === 'string') {
+                    if (segment) {
+                        extractMacroDefinitions(segment, scope);
+                        appendTextWithReferences(wrapper, segment);
+                    }
+                } else if (segment.type === 'math') {
+                    const mathElement = processMathExpression(segment, scope);
+                    if (mathElement) {
+                        if (!mathElement.hidden && !segment.provisional) {
+                            addCopyButton(mathElement);
+                            mathElement.tabIndex = 0;
+                        }
+                        wrapper.appendChild(mathElement);
+                    }
                 }
+            });
+
+            replaceWithWrapper(run, wrapper);
+            announceContainers(wrapper);
+        });
+    }
+
+    // Splits the collected nodes at every BR/DIV/P that isn't swallowed by
+    // a maths expression, so those block elements stay where they are and
+    // each run between them gets its own wrapper
+    function splitIntoRuns(nodes, text, segments) {
+        const positioned = [];
+        let offset = 0;
+        segments.forEach(segment => {
+            const length =
+                typeof segment === 'string'
+                    ? segment.length
+                    : segment.content.length;
+            positioned.push({ start: offset, end: offset + length, segment });
+            offset += length;
+        });
+        const insideMath = position =>
+            positioned.some(
+                ({ start, end, segment }) =>
+                    typeof segment !== 'string' &&
+                    start <= position &&
+                    position < end
+            );
+
+        const runs = [];
+        let run = { entries: [], start: 0 };
+        offset = 0;
+        nodes.forEach(entry => {
+            const length = entry.type === 'newline' ? 1 : entry.content.length;
+            if (entry.type === 'newline' && !insideMath(offset)) {
+                run.end = offset;
+                runs.push(run);
+                run = { entries: [], start: offset + length };
+            } else {
+                run.entries.push(entry);
+            }
+            offset += length;
+        });
+        run.end = offset;
+        runs.push(run);
+
+        return runs
+            .filter(({ entries }) => entries.length > 0)
+            .map(({ entries, start, end }) => {
+                const runSegments = [];
+                positioned.forEach(item => {
+                    if (item.end <= start || item.start >= end) {
+                        return;
+                    }
+                    if (typeof item.segment === 'string') {
+                        runSegments.push(
+                            item.segment.slice(
+                                Math.max(start, item.start) - item.start,
+                                Math.min(end, item.end) - item.start
+                            )
+                        );
+                    } else {
+                        runSegments.push(item.segment);
+                    }
+                });
+                return {
+                    entries,
+                    text: text.slice(start, end),
+                    segments: runSegments,
+                };
+            });
+    }
+
+    // Puts the wrapper exactly where the run's first node was and keeps the
+    // replaced nodes so the wrapper can be reverted
+    function replaceWithWrapper(run, wrapper) {
+        const first = run.entries[0].node;
+        const parent = first.parentNode;
+        if (!parent) {
+            return;
+        }
+
+        // Earlier wrappers merged into this one hand over their originals
+        const originals = [];
+        run.entries.forEach(entry => {
+            if (entry.type === 'wrapper') {
+                originals.push(...wrapperOriginals.get(entry.node).nodes);
+            } else {
+                originals.push(entry.node);
+            }
+        });
+        wrapperOriginals.set(wrapper, { nodes: originals, text: run.text });
+        originals.forEach(originalNode => {
+            originalOwners.set(originalNode, wrapper);
+            if (originalNode.nodeType === Node.TEXT_NODE) {
+                state.detachedObserver?.observe(originalNode, {
+                    characterData: true,
+                });
+            }
+        });
+
+        parent.insertBefore(wrapper, first);
+        run.entries.forEach(entry => {
+            if (entry.node.parentNode) {
+                entry.node.parentNode.removeChild(entry.node);
             }
+        });
+
+        if (wrapper.querySelector('[data-equation], .math-ref')) {
+            numberEquations(getMessageRoot(wrapper));
         }
+    }
 
-        return null;
+    // Reverts every wrapper in or around element and returns how many were
+    // reverted
+    function revertElement(element) {
+        if (!element) {
+            return 0;
+        }
+        const wrappers = new Set();
+        const closest = element.closest?.('.math-processed-wrapper');
+        if (closest) {
+            wrappers.add(closest);
+        }
+        element
+            .querySelectorAll?.('.math-processed-wrapper')
+            .forEach(wrapper => wrappers.add(wrapper));
+
+        const roots = new Set();
+        wrappers.forEach(wrapper => {
+            const root = getMessageRoot(wrapper);
+            unwrap(wrapper);
+            roots.add(root);
+        });
+        roots.forEach(numberEquations);
+        return wrappers.size;
     }
 
-    function findMathDelimiters(text) {
-        const segments = [];
-        let pos = 0;
-        let lastPos = 0;
+    const TEXT_BLOCK_SELECTOR =
+        'p, li, div, blockquote, td, th, h1, h2, h3, h4, h5, h6';
+
+    function getTextBlock(node, root) {
+        const block = node.parentElement?.closest(TEXT_BLOCK_SELECTOR);
+        return block && root.contains(block) ? block : root;
+    }
+
+    // Finds display maths whose opening and closing delimiters ended up in
+    // different paragraphs or list items
+    function findSplitDisplayMath(root) {
+        const entries = [];
+        let text = '';
+        let lastBlock = null;
+        collectTextNodes(root).forEach(node => {
+            if (node.parentElement?.closest('.math-processed-wrapper')) {
+                return;
+            }
+            const block = getTextBlock(node, root);
+            if (lastBlock && block !== lastBlock) {
+                text += '\n';
+            }
+            entries.push({ node, block, start: text.length });
+            text += node.data;
+            lastBlock = block;
+        });
+
+        const locate = position => {
+            for (let i = entries.length - 1; i >= 0; i--) {
+                if (entries[i].start <= position) {
+                    return {
+                        ...entries[i],
+                        offset: Math.min(
+                            position - entries[i].start,
+                            entries[i].node.data.length
+                        ),
+                    };
+                }
+            }
+            return null;
+        };
 
+        const spans = [];
+        let pos = 0;
         while (pos < text.length) {
-            let found = false;
+            if (text[pos - 1] === '\\') {
+                pos++;
+                continue;
+            }
 
+            let end = -1;
+            let delimiterType = null;
             if (
-                (text[pos] === '$' ||
-                    text[pos] === '[' ||
-                    text[pos] === '(' ||
-                    text.startsWith('\\[', pos) ||
-                    text.startsWith('\\(', pos)) &&
-                !(pos > 0 && text[pos - 1] === '\\')
+                text.startsWith('$$', pos) &&
+                config.delimiters.displayDollars
             ) {
-                const match = findMatchingDelimiter(text, pos);
-                if (match) {
-                    if (pos > lastPos) {
-                        segments.push(text.slice(lastPos, pos));
-                    }
+                const close = text.indexOf('$$', pos + 2);
+                end = close === -1 ? -1 : close + 2;
+                delimiterType = 'dollars';
+            } else if (
+                text.startsWith('\\[', pos) &&
+                config.delimiters.escapedDisplay
+            ) {
+                const close = text.indexOf('\\]', pos + 2);
+                end = close === -1 ? -1 : close + 2;
+                delimiterType = 'escaped';
+            } else if (
+                text.startsWith('\\begin{', pos) &&
+                config.delimiters.environments
+            ) {
+                const environment = findEnvironmentEnd(text, pos);
+                end = environment ? environment.end : -1;
+                delimiterType = 'environment';
+            }
 
-                    segments.push({
-                        type: 'math',
-                        content: text.slice(match.start, match.end),
-                        display: match.delimiter.display,
-                        delimiterType: match.type,
-                    });
+            if (end === -1) {
+                pos++;
+                continue;
+            }
+
+            const start = locate(pos);
+            const finish = locate(end);
+            if (start && finish && start.block !== finish.block) {
+                spans.push({
+                    start,
+                    end: finish,
+                    // Every text node the expression runs through
+                    nodes: entries
+                        .filter(
+                            entry =>
+                                entry.start < end &&
+                                entry.start + entry.node.data.length > pos
+                        )
+                        .map(entry => entry.node),
+                    content: text.slice(pos, end),
+                    delimiterType,
+                });
+            }
+            pos = end;
+        }
+        return spans;
+    }
+
+    // Records node's position so it can be put back after removal
+    function detach(node, removed) {
+        removed.push({
+            node,
+            parent: node.parentNode,
+            next: node.nextSibling,
+        });
+        node.remove();
+    }
+
+    function reattach(removed) {
+        for (let i = removed.length - 1; i >= 0; i--) {
+            const { node, parent, next } = removed[i];
+            let reference = next;
+            if (reference && reference.parentNode !== parent) {
+                // The node we were in front of has since been rendered
+                const owner = originalOwners.get(reference);
+                reference = owner?.parentNode === parent ? owner : null;
+            }
+            parent.insertBefore(node, reference);
+        }
+    }
+
+    function joinSplitText(node, rest) {
+        if (rest.isConnected && node.nextSibling === rest) {
+            node.appendData(rest.data);
+            rest.remove();
+        }
+    }
+
+    // Replaces a display block spread over several blocks with one display
+    // container placed where the block opened
+    function replaceSplitSpan(span, root, scope) {
+        const { start, end } = span;
+        const range = document.createRange();
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+        const common = range.commonAncestorContainer;
+        const topOf = node => {
+            while (node.parentNode !== common) {
+                node = node.parentNode;
+            }
+            return node;
+        };
+        const startTop = topOf(start.node);
+        const endTop = topOf(end.node);
+        const removed = [];
+
+        // Everything after the opening delimiter in the first block
+        const tail =
+            start.offset < start.node.data.length
+                ? start.node.splitText(start.offset)
+                : null;
+        let current = tail || start.node;
+        let first = !!tail;
+        while (current && current !== startTop) {
+            const siblings = [];
+            let sibling = first ? current : current.nextSibling;
+            while (sibling) {
+                siblings.push(sibling);
+                sibling = sibling.nextSibling;
+            }
+            siblings.forEach(node => detach(node, removed));
+            first = false;
+            current = current.parentNode;
+        }
+
+        // Whole blocks in between
+        let between = startTop.nextSibling;
+        while (between && between !== endTop) {
+            const next = between.nextSibling;
+            detach(between, removed);
+            between = next;
+        }
+
+        // Everything up to the closing delimiter in the last block
+        const rest =
+            end.offset < end.node.data.length
+                ? end.node.splitText(end.offset)
+                : null;
+        current = end.node;
+        while (current && current !== endTop) {
+            const siblings = [];
+            let sibling = current;
+            while (sibling) {
+                siblings.unshift(sibling);
+                sibling = sibling.previousSibling;
+            }
+            siblings.reverse().forEach(node => detach(node, removed));
+            current = current.parentNode;
+        }
+        if (endTop !== startTop && !endTop.textContent.trim()) {
+            detach(endTop, removed);
+        }
+
+        const wrapper = document.createElement('span');
+        wrapper.className = 'math-processed-wrapper';
+        const container = processMathExpression(
+            {
+                type: 'math',
+                content: span.content,
+                display: true,
+                delimiterType: span.delimiterType,
+            },
+            scope
+        );
+        if (!container.hidden) {
+            addCopyButton(container);
+            container.tabIndex = 0;
+        }
+        wrapper.appendChild(container);
+        start.node.parentNode.insertBefore(wrapper, start.node.nextSibling);
+
+        wrapperOriginals.set(wrapper, {
+            nodes: [],
+            text: span.content,
+            restore: () => {
+                wrapper.remove();
+                reattach(removed);
+                if (tail) {
+                    joinSplitText(start.node, tail);
+                }
+                if (rest) {
+                    joinSplitText(end.node, rest);
+                }
+            },
+        });
+        removed.forEach(({ node }) => originalOwners.set(node, wrapper));
+
+        if (container.hasAttribute('data-equation')) {
+            numberEquations(root);
+        }
+        announceContainers(wrapper);
+    }
+
+    function mergeSplitDisplayMath(root) {
+        if (!root || root.nodeType !== Node.ELEMENT_NODE) {
+            return;
+        }
+        // Later spans first, so earlier positions stay valid
+        findSplitDisplayMath(root)
+            .reverse()
+            .filter(span => !isVetoed(span.nodes))
+            .forEach(span => {
+                try {
+                    replaceSplitSpan(
+                        span,
+                        root,
+                        getMacroScope(span.start.node)
+                    );
+                } catch (error) {
+                    console.error('LaTeXProcessor:', error);
+                }
+            });
+    }
+
+    // Puts the nodes a wrapper replaced back into the page
+    function unwrap(wrapper) {
+        const original = wrapperOriginals.get(wrapper);
+        if (!original || !wrapper.parentNode) {
+            return;
+        }
+        unwatchOverflow(wrapper);
+        if (original.restore) {
+            original.restore();
+            wrapperOriginals.delete(wrapper);
+            return;
+        }
+        original.nodes.forEach(originalNode => {
+            restoredNodes.add(originalNode);
+            wrapper.parentNode.insertBefore(originalNode, wrapper);
+        });
+        wrapper.remove();
+        wrapperOriginals.delete(wrapper);
+    }
+
+    function isOwnNode(node) {
+        const element =
+            node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return (
+            restoredNodes.has(node) ||
+            !!element?.closest('.math-processed, .math-processed-wrapper')
+        );
+    }
+
+    function getMessageRoot(node) {
+        const element =
+            node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!element) {
+            return null;
+        }
+        return (
+            element.closest(getIncludeSelector()) ||
+            element.closest('p, li, div') ||
+            element
+        );
+    }
 
-                    lastPos = match.end;
-                    pos = match.end;
-                    found = true;
-                }
-            }
+    function isGenerating() {
+        const selector = config.streaming.indicatorSelector;
+        return !!selector && !!document.querySelector(selector);
+    }
 
-            if (!found) {
-                pos++;
-            }
+    // Tracks how a message changes over time. The first mutation of a message
+    // is rendered straight away; further mutations within settleDelay mean
+    // it is streaming, and it is re-rendered as a whole once it goes quiet.
+    // Returns 'process', 'provisional' or 'defer'.
+    function noteMessageActivity(root) {
+        const mode = config.streaming.mode;
+        if (mode === 'off' || !root) {
+            return 'process';
         }
 
-        if (lastPos < text.length) {
-            segments.push(text.slice(lastPos));
+        // Several records for one message in the same observer callback are
+        // a single update, not a stream
+        let stream = state.streams.get(root);
+        if (!stream) {
+            stream = {
+                streaming: isGenerating(),
+                batch: state.observerBatch,
+                timer: null,
+            };
+            state.streams.set(root, stream);
+        } else if (stream.batch !== state.observerBatch) {
+            stream.streaming = true;
+            stream.batch = state.observerBatch;
         }
 
-        return segments;
-    }
+        clearTimeout(stream.timer);
+        stream.timer = setTimeout(
+            () => settleMessage(root),
+            config.streaming.settleDelay
+        );
 
-    function processMathExpression(match) {
-        const container = document.createElement('span');
-        container.className = 'math-container math-processed';
-        if (match.display) {
-            container.setAttribute('data-display', 'block');
+        if (!stream.streaming) {
+            return 'process';
         }
+        root.setAttribute('data-latex-streaming', '');
+        return mode === 'provisional' ? 'provisional' : 'defer';
+    }
 
-        let latex;
-        // Extract the inner content without the delimiters
-        if (match.content.startsWith('$$') && match.content.endsWith('$$')) {
-            latex = match.content.slice(2, -2).trim();
-        } else if (
-            match.content.startsWith('$') &&
-            match.content.endsWith('$')
-        ) {
-            latex = match.content.slice(1, -1).trim();
-        } else if (
-            match.content.startsWith('\\[') &&
-            match.content.endsWith('\\]')
-        ) {
-            latex = match.content.slice(2, -2).trim();
-        } else if (
-            match.content.startsWith('\\(') &&
-            match.content.endsWith('\\)')
-        ) {
-            latex = match.content.slice(2, -2).trim();
-        } else if (
-            match.content.startsWith('[') &&
-            match.content.endsWith(']')
-        ) {
-            latex = match.content.slice(1, -1).trim();
-        } else if (
-            match.content.startsWith('(') &&
-            match.content.endsWith(')')
-        ) {
-            latex = match.content.slice(1, -1).trim();
+    function settleMessage(root) {
+        const stream = state.streams.get(root);
+        if (!stream) {
+            return;
         }
-
-        if (!latex) {
-            container.textContent = match.content;
-            return container;
+        if (stream.streaming && isGenerating()) {
+            stream.timer = setTimeout(
+                () => settleMessage(root),
+                config.streaming.settleDelay
+            );
+            return;
         }
 
-        const mathML = TeXZilla.toMathML(latex, match.display);
-        if (mathML) {
-            container.innerHTML = new XMLSerializer().serializeToString(mathML);
-        } else {
-            container.textContent = match.content;
+        state.streams.delete(root);
+        root.removeAttribute('data-latex-streaming');
+        if (!stream.streaming || !root.isConnected) {
+            return;
         }
 
-        return container;
+        // Restore and re-render in one go so the raw text is never painted
+        root.querySelectorAll('.math-processed-wrapper').forEach(unwrap);
+        mergeSplitDisplayMath(root);
+        collectTextNodes(root).forEach(textNode => {
+            try {
+                processNode(textNode);
+            } catch (error) {
+                console.error('LaTeXProcessor:', error);
+            }
+        });
     }
 
-    function processNode(node) {
-        if (!node || node.nodeType !== Node.TEXT_NODE || isInCodeBlock(node)) {
+    // Called when a text node we replaced changes while out of the page
+    function handleDetachedMutations(mutations) {
+        state.observerBatch++;
+        if (state.paused) {
             return;
         }
+        const wrappers = new Set();
+        mutations.forEach(mutation => {
+            if (!mutation.target.isConnected) {
+                const wrapper = originalOwners.get(mutation.target);
+                if (wrapper?.isConnected) {
+                    wrappers.add(wrapper);
+                }
+            }
+        });
 
-        const { nodes, text } = getAdjacentTextNodes(node);
+        wrappers.forEach(wrapper => {
+            const mode = noteMessageActivity(getMessageRoot(wrapper));
+            if (mode !== 'defer') {
+                rerenderWrapper(wrapper, {
+                    provisional: mode === 'provisional',
+                });
+            }
+        });
+    }
 
-        let hasDelimiter = false;
-        if (
-            text.includes('$') ||
-            text.includes('\\[') ||
-            text.includes('\\(') ||
-            /\[[^\]]*[_^{}\\]/.test(text) ||
-            /\([^)]*[_^{}\\]/.test(text)
-        ) {
-            hasDelimiter = true;
+    function rerenderWrapper(wrapper, options = {}) {
+        const original = wrapperOriginals.get(wrapper);
+        if (!original) {
+            return;
         }
+        unwrap(wrapper);
+        original.nodes
+            .filter(originalNode => originalNode.nodeType === Node.TEXT_NODE)
+            .forEach(textNode => processNode(textNode, options));
+    }
 
-        if (!hasDelimiter) {
-            return;
+    // Whether each selector parses, so one typo in the settings doesn't make
+    // every scope check throw. Bad ones are reported once and ignored.
+    const selectorValidity = new Map();
+
+    function isValidSelector(selector) {
+        if (!selectorValidity.has(selector)) {
+            let valid = typeof selector === 'string' && !!selector.trim();
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (error) {
+                valid = false;
+            }
+            if (!valid) {
+                console.warn('LaTeXProcessor: ignoring invalid selector', selector);
+            }
+            selectorValidity.set(selector, valid);
         }
+        return selectorValidity.get(selector);
+    }
 
-        const segments = findMathDelimiters(text);
-        if (segments.length === 1 && typeof segments[0] === 'string') {
-            return;
+    function joinSelectors(selectors) {
+        return selectors.filter(isValidSelector).join(', ');
+    }
+
+    function getIncludeSelector() {
+        return joinSelectors([
+            ...config.scope.messages,
+            ...config.scope.include,
+        ]);
+    }
+
+    function getExcludeSelector() {
+        return joinSelectors([
+            ...config.scope.defaultExclude,
+            ...config.scope.exclude,
+        ]);
+    }
+
+    // Puts back equations that a narrower scope no longer covers
+    function revertOutOfScope() {
+        return Array.from(document.querySelectorAll('.math-processed-wrapper'))
+            .filter(wrapper => wrapper.isConnected && !isInScope(wrapper))
+            .reduce((count, wrapper) => count + revertElement(wrapper), 0);
+    }
+
+    function isExcluded(node) {
+        const element =
+            node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        const selector = getExcludeSelector();
+        return !!selector && !!element?.closest(selector);
+    }
+
+    function isInScope(node) {
+        const element =
+            node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!element || isExcluded(element)) {
+            return false;
         }
+        const selector = getIncludeSelector();
+        return !selector || !!element.closest(selector);
+    }
 
-        const wrapper = document.createElement('span');
-        wrapper.className = 'math-processed-wrapper';
+    // The outermost in-scope elements at or below root
+    function getScopeRoots(root) {
+        if (isInScope(root)) {
+            return [root];
+        }
+        if (root.nodeType !== Node.ELEMENT_NODE || isExcluded(root)) {
+            return [];
+        }
+        const selector = getIncludeSelector();
+        const matches = Array.from(root.querySelectorAll(selector));
+        return matches.filter(
+            element =>
+                !isExcluded(element) &&
+                !matches.some(
+                    other => other !== element && other.contains(element)
+                )
+        );
+    }
 
-        segments.forEach(segment => {
-            if (typeof segment === 'string') {
-                if (segment) {
-                    wrapper.appendChild(document.createTextNode(segment));
-                }
-            } else if (segment.type === 'math') {
-                const mathElement = processMathExpression(segment);
-                if (mathElement) {
-                    wrapper.appendChild(mathElement);
-                }
+    function collectTextNodes(root) {
+        const textNodes = [];
+        getScopeRoots(root).forEach(scopeRoot => {
+            if (scopeRoot.nodeType === Node.TEXT_NODE) {
+                textNodes.push(scopeRoot);
+                return;
             }
-        });
-
-        const parent = node.parentNode;
-        if (parent) {
-            nodes.forEach(n => {
-                if (n.node && n.node.parentNode) {
-                    n.node.parentNode.removeChild(n.node);
+            const walker = document.createTreeWalker(
+                scopeRoot,
+                NodeFilter.SHOW_TEXT,
+                {
+                    acceptNode: textNode => {
+                        if (
+                            !isInCodeBlock(textNode) &&
+                            !textNode.parentElement?.closest(
+                                '.math-processed'
+                            ) &&
+                            !isExcluded(textNode)
+                        ) {
+                            return NodeFilter.FILTER_ACCEPT;
+                        }
+                        return NodeFilter.FILTER_REJECT;
+                    },
                 }
-            });
+            );
 
-            parent.appendChild(wrapper);
-        }
+            let textNode;
+            while ((textNode = walker.nextNode())) {
+                textNodes.push(textNode);
+            }
+        });
+        return textNodes;
     }
 
-    function processNodes(nodes) {
+    function processNodes(nodes, options = {}) {
         let index = 0;
 
         function processNextBatch(deadline) {
             while (index < nodes.length && deadline.timeRemaining() > 0) {
-                processNode(nodes[index++]);
+                try {
+                    processNode(nodes[index++], options);
+                } catch (error) {
+                    console.error('LaTeXProcessor:', error);
+                }
             }
 
             if (index < nodes.length) {
@@ -456,117 +6507,142 @@
         requestIdleCallback(processNextBatch);
     }
 
-    function findTextNodes() {
-        const walker = document.createTreeWalker(
-            document.body,
-            NodeFilter.SHOW_TEXT,
-            {
-                acceptNode: node => {
-                    if (
-                        isInCodeBlock(node) ||
-                        node.parentElement?.closest('.math-processed')
-                    ) {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    return NodeFilter.FILTER_ACCEPT;
-                },
-            }
-        );
+    // Handles everything the observer queued since the last flush in one
+    // pass. Nodes inside another queued element are covered by its walk.
+    function flushPending() {
+        const pending = Array.from(state.pending);
+        state.pending.clear();
+        state.flushScheduled = false;
+        state.stats.observerFlushes++;
+        if (state.paused) {
+            return;
+        }
 
-        const nodes = [];
-        let node;
-        while ((node = walker.nextNode())) {
-            nodes.push(node);
+        const elements = pending
+            .map(([node]) => node)
+            .filter(node => node.nodeType === Node.ELEMENT_NODE);
+        pending.forEach(([node, provisional]) => {
+            if (
+                !node.isConnected ||
+                elements.some(
+                    element => element !== node && element.contains(node)
+                )
+            ) {
+                return;
+            }
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (!provisional) {
+                    mergeSplitDisplayMath(node);
+                }
+                const textNodes = collectTextNodes(node);
+                if (textNodes.length > 0) {
+                    processNodes(textNodes, { provisional });
+                }
+            } else if (node.nodeType === Node.TEXT_NODE) {
+                processNode(node, { provisional });
+            }
+        });
+        if (state.debug) {
+            scheduleDebugOverlay();
         }
-        return nodes;
+    }
+
+    function findTextNodes() {
+        return collectTextNodes(document.body);
     }
 
     function processMath() {
+        getScopeRoots(document.body).forEach(mergeSplitDisplayMath);
         const nodes = findTextNodes();
         if (nodes.length > 0) {
             processNodes(nodes);
         }
     }
     async function initialize() {
-        await loadTeXZilla();
+        try {
+            await loadRenderer();
+        } catch (error) {
+            console.error('LaTeXProcessor:', error);
+            return;
+        }
+        state.userMacros = loadUserMacros();
         injectStyles();
+        applyStyle();
+        watchTheme();
+        document.addEventListener('click', handleReferenceClick);
+        document.addEventListener('copy', handleCopy);
+        document.addEventListener('click', handleToggleClick);
+        document.addEventListener('dblclick', handleToggleClick);
+        document.addEventListener('keydown', handleToggleKeydown);
+        document.addEventListener('keydown', handleExploreKeydown);
+        document.addEventListener('input', handlePreviewInput, true);
+        document.addEventListener('keydown', handlePreviewKeydown);
+        window.addEventListener('resize', positionPreview);
+        document.addEventListener('keydown', handleSettingsKeydown);
+        addSettingsButton();
+        state.detachedObserver = new MutationObserver(handleDetachedMutations);
         processMath();
 
         const observer = new MutationObserver(mutations => {
-            let shouldProcess = false;
-            let newNodes = [];
+            state.observerBatch++;
+            mutations.forEach(mutation =>
+                mutation.removedNodes.forEach(node => {
+                    if (!node.isConnected) {
+                        unwatchOverflow(node);
+                    }
+                })
+            );
+            if (state.paused) {
+                return;
+            }
+
+            const queue = node => {
+                const mode = noteMessageActivity(getMessageRoot(node));
+                if (mode !== 'defer') {
+                    state.pending.set(node, mode === 'provisional');
+                }
+            };
 
             mutations.forEach(mutation => {
                 if (mutation.type === 'characterData') {
                     const node = mutation.target;
                     if (
-                        !node.parentElement?.closest('.math-processed') &&
+                        !isOwnNode(node) &&
+                        isInScope(node) &&
                         !isInCodeBlock(node)
                     ) {
-                        shouldProcess = true;
-                        newNodes.push(node);
+                        queue(node);
                     }
                 }
 
                 mutation.addedNodes.forEach(node => {
-                    if (node.nodeType === Node.ELEMENT_NODE) {
-                        if (
-                            !node.closest('.math-processed') &&
-                            !isInCodeBlock(node)
-                        ) {
-                            shouldProcess = true;
-                            newNodes.push(node);
-                        }
-                    } else if (node.nodeType === Node.TEXT_NODE) {
-                        if (
-                            !node.parentElement?.closest('.math-processed') &&
-                            !isInCodeBlock(node)
-                        ) {
-                            shouldProcess = true;
-                            newNodes.push(node);
-                        }
+                    if (restoredNodes.has(node)) {
+                        restoredNodes.delete(node);
+                    } else if (
+                        node.nodeType === Node.TEXT_NODE &&
+                        !isOwnNode(node) &&
+                        isInScope(node) &&
+                        !isInCodeBlock(node)
+                    ) {
+                        queue(node);
+                    } else if (
+                        node.nodeType === Node.ELEMENT_NODE &&
+                        !isOwnNode(node)
+                    ) {
+                        // An added ancestor may hold several messages
+                        getScopeRoots(node)
+                            .filter(root => !isInCodeBlock(root))
+                            .forEach(queue);
                     }
                 });
             });
 
-            if (shouldProcess) {
-                requestIdleCallback(() => {
-                    newNodes.forEach(node => {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            const textNodes = [];
-                            const walker = document.createTreeWalker(
-                                node,
-                                NodeFilter.SHOW_TEXT,
-                                {
-                                    acceptNode: textNode => {
-                                        if (
-                                            !isInCodeBlock(textNode) &&
-                                            !textNode.parentElement?.closest(
-                                                '.math-processed'
-                                            )
-                                        ) {
-                                            return NodeFilter.FILTER_ACCEPT;
-                                        }
-                                        return NodeFilter.FILTER_REJECT;
-                                    },
-                                }
-                            );
-
-                            let textNode;
-                            while ((textNode = walker.nextNode())) {
-                                textNodes.push(textNode);
-                            }
-
-                            if (textNodes.length > 0) {
-                                processNodes(textNodes);
-                            }
-                        } else if (node.nodeType === Node.TEXT_NODE) {
-                            processNode(node);
-                        }
-                    });
-                });
+            if (state.pending.size > 0 && !state.flushScheduled) {
+                state.flushScheduled = true;
+                requestIdleCallback(flushPending);
             }
         });
+        state.observer = observer;
 
         observer.observe(document.body, {
             childList: true,
@@ -577,42 +6653,270 @@
 
     const LaTeXProcessor = {
         reprocess: function () {
+            state.paused = false;
             processMath();
         },
 
-        processElement: function (element) {
-            if (!element) {
-                return;
+        revert: function (element) {
+            return revertElement(element);
+        },
+
+        // Restores the original page and stops rendering until reprocess()
+        revertAll: function () {
+            state.paused = true;
+            state.streams.forEach(stream => clearTimeout(stream.timer));
+            state.streams.clear();
+            return revertElement(document.body);
+        },
+
+        get renderer() {
+            return state.renderer?.name || null;
+        },
+
+        setRenderer: async function (name) {
+            const previous = state.renderer?.name;
+            await loadRenderer([name]);
+            // Equations already on the page were drawn by the old backend
+            if (state.renderer.name !== previous) {
+                document
+                    .querySelectorAll('.math-processed-wrapper')
+                    .forEach(unwrap);
             }
+            this.reprocess();
+            return state.renderer.name;
+        },
 
-            const textNodes = [];
-            const walker = document.createTreeWalker(
-                element,
-                NodeFilter.SHOW_TEXT,
-                {
-                    acceptNode: textNode => {
-                        if (
-                            !isInCodeBlock(textNode) &&
-                            !textNode.parentElement?.closest('.math-processed')
-                        ) {
-                            return NodeFilter.FILTER_ACCEPT;
-                        }
-                        return NodeFilter.FILTER_REJECT;
-                    },
-                }
+        registerRenderer: function (name, backend) {
+            RENDERERS[name] = backend;
+            // Output cached from an earlier backend of the same name is stale
+            renderCache.clear();
+            if (!config.renderer.order.includes(name)) {
+                config.renderer.order.push(name);
+            }
+        },
+
+        repairLatex: function (latex) {
+            return repairLatex(latex);
+        },
+
+        // Plain LaTeX for the \ce{...} and \pu{...} in an expression
+        translateChemistry: function (latex) {
+            return translateChemistry(latex);
+        },
+
+        // Readable Unicode text for an expression, e.g. for a notification
+        toUnicode: function (latex) {
+            return toUnicode(latex);
+        },
+
+        // The message containing element, or the whole conversation when
+        // element is omitted, as a standalone 'tex' or 'markdown' document
+        exportDocument: function (element, format) {
+            return exportDocument(element, format);
+        },
+
+        // Same as exportDocument, but also downloads it as a file
+        downloadDocument: function (element, format) {
+            return downloadDocument(element, format);
+        },
+
+        // Flips one equation between rendered maths and its source
+        toggleSource: function (element, show) {
+            toggleSource(element?.closest?.('.math-container'), show);
+        },
+
+        // Shows (true), hides (false) or toggles the source of every equation
+        showAllSources: function (show) {
+            return setAllSourcesVisible(show);
+        },
+
+        // Registers fn(latex, { source, display, delimiterType }), run on
+        // every expression after escape repairs and before macros and the
+        // renderer. Return a string to replace the LaTeX. Like the other
+        // add* methods it returns a function that unregisters it.
+        addPreprocessor: function (fn) {
+            return addHook(hooks.preprocessors, fn);
+        },
+
+        // Registers fn(container, detail), run on every new .math-container
+        // once it is in the page, before the latex:rendered/latex:error event
+        addPostprocessor: function (fn) {
+            return addHook(hooks.postprocessors, fn);
+        },
+
+        // Registers fn(textNode); returning false leaves the node alone
+        addFilter: function (fn) {
+            return addHook(hooks.filters, fn);
+        },
+
+        // Registers fn(detail), told about text the parser turned down like
+        // the latex:skipped event
+        addSkipListener: function (fn) {
+            return addHook(hooks.skipListeners, fn);
+        },
+
+        // Changes settings while running and re-renders everything, e.g.
+        // configure({ delimiters: { parens: false } }). Saved for next time
+        // unless persist is false.
+        configure: function (options, persist = true) {
+            return configure(options, persist);
+        },
+
+        // Current settings
+        getConfig: function () {
+            return cloneConfig(config);
+        },
+
+        resetConfig: function () {
+            return resetSettings();
+        },
+
+        openSettings: function () {
+            openSettings();
+        },
+
+        // Shows (true), hides (false) or toggles the chat input preview
+        togglePreview: function (show = !config.preview.enabled) {
+            setPreviewEnabled(show);
+            return config.preview.enabled;
+        },
+
+        // Changes scale, font, theme or overflow handling, e.g.
+        // setStyle({ scale: 1.2, theme: 'dark' })
+        setStyle: function (style) {
+            mergeConfig(config.style, style);
+            applyStyle();
+        },
+
+        // Spoken description of a LaTeX string, as used for aria-label
+        describe: function (latex) {
+            return describeLatex(latex);
+        },
+
+        // Counters for measuring performance. Times are in milliseconds and
+        // processTime includes renderTime.
+        stats: function () {
+            return {
+                ...state.stats,
+                cacheSize: renderCache.size,
+                pending: state.pending.size,
+            };
+        },
+
+        resetStats: function () {
+            state.stats = createStats();
+        },
+
+        clearCache: function () {
+            renderCache.clear();
+        },
+
+        // Why text or an element's contents were (not) read as maths. For
+        // bug reports.
+        explain: function (input) {
+            return typeof input === 'string'
+                ? explainText(input)
+                : explainElement(input || document.body);
+        },
+
+        // Outlines every candidate on the page with its explanation
+        debug: function (enabled = true) {
+            setDebugOverlay(enabled);
+        },
+
+        // Returns the TeX of a rendered equation in the given format
+        getSource: function (element, format) {
+            const container = element?.closest?.('.math-container');
+            return container ? formatSource(container, format) : null;
+        },
+
+        setScope: function (scope) {
+            mergeConfig(config.scope, scope);
+            Object.values(config.scope).forEach(selectors =>
+                selectors.forEach(isValidSelector)
             );
+            revertOutOfScope();
+            this.reprocess();
+        },
 
-            let textNode;
-            while ((textNode = walker.nextNode())) {
-                textNodes.push(textNode);
+        getMacros: function () {
+            return { ...state.userMacros };
+        },
+
+        defineMacro: function (name, body, args = 0, defaultArg) {
+            const macroName = name.replace(/^\\/, '');
+            state.userMacros[macroName] = normalizeMacro({
+                body,
+                args,
+                defaultArg,
+            });
+            saveUserMacros();
+        },
+
+        removeMacro: function (name) {
+            delete state.userMacros[name.replace(/^\\/, '')];
+            saveUserMacros();
+        },
+
+        errors: function () {
+            return state.errors.filter(entry => entry.element.isConnected);
+        },
+
+        clearErrors: function () {
+            state.errors = [];
+        },
+
+        scoreLatex: function (content) {
+            return scoreLatex(content);
+        },
+
+        evaluateDetection: function (corpus, delimiterType) {
+            return evaluateDetection(corpus, delimiterType);
+        },
+
+        processElement: function (element) {
+            if (!element) {
+                return;
             }
 
+            const textNodes = collectTextNodes(element);
             if (textNodes.length > 0) {
                 processNodes(textNodes);
             }
         },
     };
 
+    // Required from Node (tests and tooling) the parser is exported instead
+    // of starting up. DOM helpers such as isInCodeBlock expect the DOM
+    // globals (Node, document) to be provided, e.g. from jsdom. A page can
+    // have a global called module too, so a window means the browser.
+    if (
+        typeof window === 'undefined' &&
+        typeof module !== 'undefined' &&
+        module.exports
+    ) {
+        module.exports = {
+            config,
+            mergeConfig,
+            findMathDelimiters,
+            findMatchingDelimiter,
+            findEnvironmentEnd,
+            resolveInlineDollarPolicy,
+            isLikelyLatex,
+            scoreLatex,
+            evaluateDetection,
+            DETECTION_CORPUS,
+            isInCodeBlock,
+            repairLatex,
+            translateChemistry,
+            latexToUnicode,
+            describeLatex,
+            explain: explainText,
+        };
+        return;
+    }
+
+    watchSkipListeners();
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', initialize);
     } else {
@@ -0,0 +1,23 @@
+// ESM entry for the parser that typingmindlatexfix.js exports under Node
+import parser from './typingmindlatexfix.js';
+
+export const {
+    config,
+    mergeConfig,
+    findMathDelimiters,
+    findMatchingDelimiter,
+    findEnvironmentEnd,
+    resolveInlineDollarPolicy,
+    isLikelyLatex,
+    scoreLatex,
+    evaluateDetection,
+    DETECTION_CORPUS,
+    isInCodeBlock,
+    repairLatex,
+    translateChemistry,
+    latexToUnicode,
+    describeLatex,
+    explain,
+} = parser;
+
+export default parser;